@@ -0,0 +1,40 @@
+// check-storage.js - Try the configured storage driver with one real file
+//
+// Uploads a small file, reads it back, deletes it and checks it's gone, using
+// the same settings as the server (environment or .env, see storage.js):
+//
+//   STORAGE_DRIVER=s3 S3_ENDPOINT=... S3_BUCKET=... npm run check-storage
+//
+// To try the S3 driver without an AWS account, run MinIO locally (it checks
+// request signatures like S3 does) and create a bucket called "chat" in its
+// console at http://localhost:9001 (login minioadmin / minioadmin):
+//
+//   docker run -p 9000:9000 -p 9001:9001 minio/minio server /data --console-address :9001
+//   STORAGE_DRIVER=s3 S3_ENDPOINT=http://localhost:9000 S3_BUCKET=chat \
+//     S3_ACCESS_KEY_ID=minioadmin S3_SECRET_ACCESS_KEY=minioadmin npm run check-storage
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const { createStorage, newStorageKey } = require('./storage');
+
+async function main() {
+  const storage = createStorage();
+  const key = newStorageKey();
+  const bytes = crypto.randomBytes(1024);
+
+  await storage.put(key, bytes, 'application/octet-stream');
+  console.log(`Uploaded ${key}`);
+  const read = await storage.get(key);
+  if (!read || !read.equals(bytes)) throw new Error('Read back different bytes than were uploaded');
+  console.log('Read it back');
+  await storage.remove(key);
+  if (await storage.get(key) !== null) throw new Error('File is still there after deleting it');
+  console.log('Deleted it');
+  console.log(`Storage (${process.env.STORAGE_DRIVER || 'local'}) works`);
+}
+
+main().catch(err => {
+  console.error('Storage check failed:', err.message);
+  process.exit(1);
+});
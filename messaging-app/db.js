@@ -19,9 +19,31 @@ async function init() {
   `);
   await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_color VARCHAR(7) DEFAULT '#7289da'`);
   await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_emoji VARCHAR(10) DEFAULT ''`);
-  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_image TEXT`); // base64 profile picture
+  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_image TEXT`); // legacy base64 picture, moved to attachments at startup
   await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS is_admin BOOLEAN DEFAULT FALSE`);
   await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS is_banned BOOLEAN DEFAULT FALSE`);
+  // Bans and mutes can carry a reason and an expiry (NULL = until lifted by hand)
+  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS banned_until TIMESTAMP`);
+  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS ban_reason TEXT`);
+  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS is_muted BOOLEAN DEFAULT FALSE`);
+  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS muted_until TIMESTAMP`);
+  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS mute_reason TEXT`);
+  // Site-wide role (see permissions.js). Existing admins become 'admin' the
+  // first time this runs; is_admin is no longer read after that.
+  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20)`);
+  await pool.query(`UPDATE users SET role = CASE WHEN is_admin THEN 'admin' ELSE 'member' END WHERE role IS NULL`);
+  await pool.query(`ALTER TABLE users ALTER COLUMN role SET DEFAULT 'member'`);
+  // Presence: the status the user picked (online/away/dnd/invisible), an optional
+  // custom status line that can expire, and when they were last connected
+  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS status VARCHAR(10) DEFAULT 'online'`);
+  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS status_text VARCHAR(100)`);
+  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS status_expires_at TIMESTAMP`);
+  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS last_seen TIMESTAMP`);
+  // Two-factor: the TOTP secret (set during enrollment, live once totp_enabled)
+  // and the last time step used, so a code can't be replayed
+  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64)`);
+  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT FALSE`);
+  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT`);
 
   // ── Messages table ────────────────────────────────────────────────────────
   await pool.query(`
@@ -34,8 +56,58 @@ async function init() {
     )
   `);
   await pool.query(`ALTER TABLE messages ADD COLUMN IF NOT EXISTS edited BOOLEAN DEFAULT FALSE`);
-  await pool.query(`ALTER TABLE messages ADD COLUMN IF NOT EXISTS image_data TEXT`); // base64 image in message
+  await pool.query(`ALTER TABLE messages ADD COLUMN IF NOT EXISTS image_data TEXT`); // legacy base64 image, moved to attachments at startup
+  // Thread replies point at their top-level message; deleting it deletes the thread
+  await pool.query(`ALTER TABLE messages ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES messages(id) ON DELETE CASCADE`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_messages_parent ON messages(parent_id) WHERE parent_id IS NOT NULL`);
+  // Soft deletion: deleted messages stay (as tombstones) until the retention job
+  // purges them. `cleared` marks ones removed by an admin "Clear", which leave no tombstone.
+  await pool.query(`ALTER TABLE messages ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP`);
+  await pool.query(`ALTER TABLE messages ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id)`);
+  await pool.query(`ALTER TABLE messages ADD COLUMN IF NOT EXISTS cleared BOOLEAN DEFAULT FALSE`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_messages_deleted ON messages(deleted_at) WHERE deleted_at IS NOT NULL`);
   await pool.query(`CREATE INDEX IF NOT EXISTS idx_messages_room ON messages(room, created_at)`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_messages_room_id ON messages(room, id)`); // history paging
+  // Full-text search; queries must use the exact same to_tsvector expression to hit it
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_messages_search ON messages USING GIN (to_tsvector('english', content))`);
+
+  // ── Rooms table ───────────────────────────────────────────────────────────
+  // `slug` is the key stored in messages.room and used as the socket.io room name.
+  // It never changes, so renaming a channel only touches `name`.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS rooms (
+      id SERIAL PRIMARY KEY,
+      slug VARCHAR(100) UNIQUE NOT NULL,
+      name VARCHAR(50) NOT NULL,
+      created_by INTEGER REFERENCES users(id),
+      archived BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await pool.query(`ALTER TABLE rooms ADD COLUMN IF NOT EXISTS is_private BOOLEAN DEFAULT FALSE`);
+  await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_rooms_name ON rooms(LOWER(name))`);
+  await pool.query(`INSERT INTO rooms (slug, name) VALUES ('general', 'general') ON CONFLICT DO NOTHING`);
+
+  // One message per user every N seconds (0 = off); moderators are exempt
+  await pool.query(`ALTER TABLE rooms ADD COLUMN IF NOT EXISTS slow_mode_seconds INTEGER DEFAULT 0`);
+
+  // ── Room members table ────────────────────────────────────────────────────
+  // Which channels each user has joined (DMs don't need rows here).
+  // For private channels this is the access list; owners can invite and kick.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS room_members (
+      room_id INTEGER REFERENCES rooms(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id),
+      joined_at TIMESTAMP DEFAULT NOW(),
+      PRIMARY KEY (room_id, user_id)
+    )
+  `);
+  await pool.query(`ALTER TABLE room_members ADD COLUMN IF NOT EXISTS role VARCHAR(20) DEFAULT 'member'`);
+  // Channels created before roles existed: their creator becomes the owner
+  await pool.query(`
+    UPDATE room_members m SET role = 'owner' FROM rooms r
+    WHERE m.room_id = r.id AND m.user_id = r.created_by AND m.role = 'member'
+  `);
 
   // ── Reactions table ───────────────────────────────────────────────────────
   // Each row = one user reacting with one emoji to one message.
@@ -49,6 +121,178 @@ async function init() {
     )
   `);
 
+  // ── Message revisions table ───────────────────────────────────────────────
+  // Every version of an edited message, oldest first. The original text is
+  // saved (with the message's own timestamp) the first time it's edited.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS message_revisions (
+      id SERIAL PRIMARY KEY,
+      message_id INTEGER REFERENCES messages(id) ON DELETE CASCADE,
+      content TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_message_revisions_message ON message_revisions(message_id, id)`);
+
+  // ── Read state table ──────────────────────────────────────────────────────
+  // How far each user has read in each room (channels and DMs alike)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS read_state (
+      user_id INTEGER REFERENCES users(id),
+      room VARCHAR(100) NOT NULL,
+      last_read_message_id INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (user_id, room)
+    )
+  `);
+
+  // ── Audit log table ───────────────────────────────────────────────────────
+  // One row per moderation action. target_id is text because targets can be
+  // users, messages or rooms (slugs); `details` holds action-specific extras.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id SERIAL PRIMARY KEY,
+      actor_id INTEGER REFERENCES users(id),
+      action VARCHAR(30) NOT NULL,
+      target_type VARCHAR(20),
+      target_id VARCHAR(100),
+      reason TEXT,
+      details JSONB,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, id)`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id)`);
+
+  // ── Sessions table ────────────────────────────────────────────────────────
+  // One row per login. Refresh tokens are "<session id>.<secret>" and only a
+  // hash of the secret is kept; previous_hash spots a rotated-out token being
+  // replayed. Access tokens carry the session id, so revoking a row ends them too.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      token_hash VARCHAR(64) NOT NULL,
+      previous_hash VARCHAR(64),
+      created_at TIMESTAMP DEFAULT NOW(),
+      last_used_at TIMESTAMP DEFAULT NOW(),
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP
+    )
+  `);
+  // What the user sees in their device list
+  await pool.query(`ALTER TABLE sessions ADD COLUMN IF NOT EXISTS user_agent TEXT`);
+  await pool.query(`ALTER TABLE sessions ADD COLUMN IF NOT EXISTS ip VARCHAR(64)`);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)`);
+
+  // ── Recovery codes table ──────────────────────────────────────────────────
+  // Single-use fallbacks for a lost authenticator, stored hashed
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS recovery_codes (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      code_hash VARCHAR(64) NOT NULL,
+      used_at TIMESTAMP
+    )
+  `);
+  await pool.query(`CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes(user_id)`);
+
+  // ── Settings table ────────────────────────────────────────────────────────
+  // Site-wide switches admins can flip at runtime, one JSON value per key
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS settings (
+      key VARCHAR(50) PRIMARY KEY,
+      value JSONB NOT NULL,
+      updated_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  // ── Invites table ─────────────────────────────────────────────────────────
+  // Invite codes for registration_mode 'invite'. max_uses NULL = unlimited,
+  // expires_at NULL = never. users.invite_id records who joined with which.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS invites (
+      id SERIAL PRIMARY KEY,
+      code VARCHAR(20) UNIQUE NOT NULL,
+      note VARCHAR(200),
+      created_by INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      expires_at TIMESTAMP,
+      max_uses INTEGER,
+      uses INTEGER NOT NULL DEFAULT 0,
+      revoked_at TIMESTAMP
+    )
+  `);
+  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS invite_id INTEGER REFERENCES invites(id)`);
+
+  // ── Login attempts table ──────────────────────────────────────────────────
+  // Failed logins per key: "user:<lowercased username>" (whether or not the
+  // account exists) or "ip:<address>". locked_until is when the next try is allowed.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS login_attempts (
+      key VARCHAR(150) PRIMARY KEY,
+      failures INTEGER NOT NULL DEFAULT 0,
+      last_failure_at TIMESTAMP DEFAULT NOW(),
+      locked_until TIMESTAMP
+    )
+  `);
+
+  // ── Password resets table ─────────────────────────────────────────────────
+  // At most one outstanding reset code per user (a new one replaces it). Only
+  // a hash is kept; the admin passes the code on to the user themselves.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS password_resets (
+      user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+      code_hash VARCHAR(64) NOT NULL,
+      created_by INTEGER REFERENCES users(id),
+      created_at TIMESTAMP DEFAULT NOW(),
+      expires_at TIMESTAMP NOT NULL
+    )
+  `);
+
+  // ── Attachments table ─────────────────────────────────────────────────────
+  // Uploaded files. The bytes live in storage (see storage.js) under
+  // storage_key; messages and avatars point here. Uploads nothing points to
+  // are removed after a while (purgeOrphanAttachments).
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS attachments (
+      id SERIAL PRIMARY KEY,
+      storage_key VARCHAR(64) UNIQUE NOT NULL,
+      uploader_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      filename VARCHAR(255) NOT NULL,
+      content_type VARCHAR(100) NOT NULL,
+      size INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await pool.query(`ALTER TABLE messages ADD COLUMN IF NOT EXISTS attachment_id INTEGER REFERENCES attachments(id) ON DELETE SET NULL`);
+  // An upload can be sent once
+  await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_attachment ON messages(attachment_id) WHERE attachment_id IS NOT NULL`);
+  await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_attachment_id INTEGER REFERENCES attachments(id) ON DELETE SET NULL`);
+  // Images: their size in pixels and a small preview, also kept in storage
+  await pool.query(`ALTER TABLE attachments ADD COLUMN IF NOT EXISTS width INTEGER`);
+  await pool.query(`ALTER TABLE attachments ADD COLUMN IF NOT EXISTS height INTEGER`);
+  await pool.query(`ALTER TABLE attachments ADD COLUMN IF NOT EXISTS thumbnail_key VARCHAR(64)`);
+
+  // ── Account deletion ──────────────────────────────────────────────────────
+  // Deleting a user removes rows that only matter to them and leaves NULL where
+  // they're merely mentioned. Their messages are dealt with before the delete
+  // (see deleteUser). Older databases were created without these rules, so
+  // swap in the new constraint wherever it still says NO ACTION.
+  const userReferences = [
+    ['messages', 'sender_id', 'SET NULL'], ['messages', 'deleted_by', 'SET NULL'],
+    ['rooms', 'created_by', 'SET NULL'], ['room_members', 'user_id', 'CASCADE'],
+    ['reactions', 'user_id', 'CASCADE'], ['read_state', 'user_id', 'CASCADE'],
+    ['audit_log', 'actor_id', 'SET NULL'], ['invites', 'created_by', 'SET NULL'],
+    ['password_resets', 'created_by', 'SET NULL']
+  ];
+  for (const [table, column, onDelete] of userReferences) {
+    const constraint = `${table}_${column}_fkey`;
+    const stale = await pool.query(`SELECT 1 FROM pg_constraint WHERE conname = $1 AND confdeltype = 'a'`, [constraint]);
+    if (stale.rows.length === 0) continue;
+    await pool.query(`ALTER TABLE ${table} DROP CONSTRAINT ${constraint}`);
+    await pool.query(`ALTER TABLE ${table} ADD CONSTRAINT ${constraint} FOREIGN KEY (${column}) REFERENCES users(id) ON DELETE ${onDelete}`);
+  }
+
   console.log('Database tables ready!');
 }
 
@@ -85,81 +329,453 @@ async function getReactionsForMessages(messageIds) {
 
 async function createUser(username, passwordHash) {
   const result = await pool.query(
-    'INSERT INTO users (username, password_hash) VALUES ($1, $2) RETURNING id, username, avatar_color, avatar_emoji, is_admin',
+    'INSERT INTO users (username, password_hash) VALUES ($1, $2) RETURNING id, username, avatar_color, avatar_emoji, role',
     [username, passwordHash]
   );
   return result.rows[0];
 }
 
+// Create a user with an invite code, using up one of its uses. Both happen in
+// one statement, so a taken username doesn't spend the invite. Returns
+// undefined if the code isn't valid (unknown, revoked, expired or used up).
+async function createUserWithInvite(username, passwordHash, code) {
+  const result = await pool.query(
+    `WITH invite AS (
+       UPDATE invites SET uses = uses + 1
+       WHERE code = $3 AND revoked_at IS NULL
+         AND (expires_at IS NULL OR expires_at > NOW())
+         AND (max_uses IS NULL OR uses < max_uses)
+       RETURNING id
+     )
+     INSERT INTO users (username, password_hash, invite_id)
+     SELECT $1, $2, id FROM invite
+     RETURNING id, username, avatar_color, avatar_emoji, role, invite_id`,
+    [username, passwordHash, code]
+  );
+  return result.rows[0];
+}
+
 async function getUserByUsername(username) {
   const result = await pool.query('SELECT * FROM users WHERE username = $1', [username]);
   return result.rows[0];
 }
 
+// Shown as the author of messages whose account was deleted
+const DELETED_USERNAME = 'Deleted user';
+
+// A message's attachment (m.attachment_id) as { id, filename, content_type, size,
+// width, height, thumbnail_key }, or NULL
+const ATTACHMENT_JSON = `(
+  SELECT json_build_object('id', a.id, 'filename', a.filename, 'content_type', a.content_type, 'size', a.size,
+                           'width', a.width, 'height', a.height, 'thumbnail_key', a.thumbnail_key)
+  FROM attachments a WHERE a.id = m.attachment_id)`;
+
+const USER_COLUMNS = `
+  id, username, avatar_color, avatar_emoji, avatar_attachment_id, role,
+  is_banned, banned_until, ban_reason, is_muted, muted_until, mute_reason,
+  status, status_text, status_expires_at, last_seen`;
+
 async function getUserById(id) {
+  const result = await pool.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]);
+  return result.rows[0];
+}
+
+async function getAllUsers() {
+  const result = await pool.query(`SELECT ${USER_COLUMNS} FROM users ORDER BY username ASC`);
+  return result.rows;
+}
+
+// expiresAt = null keeps the custom text until the user changes it
+async function setStatus(userId, status, text, expiresAt) {
+  await pool.query(
+    'UPDATE users SET status = $1, status_text = $2, status_expires_at = $3 WHERE id = $4',
+    [status, text || null, text ? expiresAt : null, userId]
+  );
+}
+
+async function touchLastSeen(userId) {
+  await pool.query('UPDATE users SET last_seen = NOW() WHERE id = $1', [userId]);
+}
+
+// Drop custom status lines whose time is up; returns whose changed
+async function clearExpiredStatuses() {
+  const result = await pool.query(
+    `UPDATE users SET status_text = NULL, status_expires_at = NULL
+     WHERE status_expires_at IS NOT NULL AND status_expires_at <= NOW()
+     RETURNING id`
+  );
+  return result.rows.map(r => r.id);
+}
+
+// Save avatar color, emoji, AND optional profile picture (an attachment id)
+async function updateUserAvatar(userId, color, emoji, attachmentId) {
+  await pool.query(
+    'UPDATE users SET avatar_color = $1, avatar_emoji = $2, avatar_attachment_id = $3 WHERE id = $4',
+    [color, emoji, attachmentId || null, userId]
+  );
+}
+
+// `until` (a Date) makes it temporary; unbanning clears the reason and expiry
+async function setBanned(userId, banned, until, reason) {
+  await pool.query(
+    'UPDATE users SET is_banned = $1, banned_until = $2, ban_reason = $3 WHERE id = $4',
+    [banned, banned ? until || null : null, banned ? reason || null : null, userId]
+  );
+}
+
+async function setMuted(userId, muted, until, reason) {
+  await pool.query(
+    'UPDATE users SET is_muted = $1, muted_until = $2, mute_reason = $3 WHERE id = $4',
+    [muted, muted ? until || null : null, muted ? reason || null : null, userId]
+  );
+}
+
+// Lift bans and mutes whose time is up; returns the affected user ids
+async function liftExpiredSanctions() {
+  const unbanned = await pool.query(
+    `UPDATE users SET is_banned = FALSE, banned_until = NULL, ban_reason = NULL
+     WHERE is_banned AND banned_until <= NOW()
+     RETURNING id`
+  );
+  const unmuted = await pool.query(
+    `UPDATE users SET is_muted = FALSE, muted_until = NULL, mute_reason = NULL
+     WHERE is_muted AND muted_until <= NOW()
+     RETURNING id`
+  );
+  return { unbanned: unbanned.rows.map(r => r.id), unmuted: unmuted.rows.map(r => r.id) };
+}
+
+async function setUserRole(userId, role) {
+  await pool.query('UPDATE users SET role = $1 WHERE id = $2', [role, userId]);
+}
+
+// ── Passwords ─────────────────────────────────────────────────────────────────
+
+async function getPasswordHash(userId) {
+  const result = await pool.query('SELECT password_hash FROM users WHERE id = $1', [userId]);
+  return result.rows[0]?.password_hash;
+}
+
+async function setPassword(userId, passwordHash) {
+  await pool.query('UPDATE users SET password_hash = $1 WHERE id = $2', [passwordHash, userId]);
+}
+
+async function createPasswordReset(userId, codeHash, expiresAt, createdBy) {
+  await pool.query(
+    `INSERT INTO password_resets (user_id, code_hash, expires_at, created_by) VALUES ($1, $2, $3, $4)
+     ON CONFLICT (user_id) DO UPDATE SET code_hash = $2, expires_at = $3, created_by = $4, created_at = NOW()`,
+    [userId, codeHash, expiresAt, createdBy]
+  );
+}
+
+// Use up a reset code. Returns true if it was valid; either way a matching
+// code can't be used twice.
+async function redeemPasswordReset(userId, codeHash) {
   const result = await pool.query(
-    'SELECT id, username, avatar_color, avatar_emoji, avatar_image, is_admin, is_banned FROM users WHERE id = $1',
-    [id]
+    'DELETE FROM password_resets WHERE user_id = $1 AND code_hash = $2 RETURNING expires_at',
+    [userId, codeHash]
   );
+  return !!result.rows[0] && new Date(result.rows[0].expires_at) > new Date();
+}
+
+// ── Room functions ────────────────────────────────────────────────────────────
+
+async function createRoom(name, createdBy, isPrivate) {
+  // Reuse the name as the slug unless an older (renamed) channel already owns it
+  const taken = await pool.query('SELECT 1 FROM rooms WHERE slug = $1', [name]);
+  const slug = taken.rowCount > 0 ? `${name}-${Date.now().toString(36)}` : name;
+  const result = await pool.query(
+    'INSERT INTO rooms (slug, name, created_by, is_private) VALUES ($1, $2, $3, $4) RETURNING id, slug, name, created_by, archived, is_private',
+    [slug, name, createdBy, !!isPrivate]
+  );
+  await joinRoom(slug, createdBy, 'owner');
   return result.rows[0];
 }
 
-async function getAllUsers() {
+async function getRoomBySlug(slug) {
   const result = await pool.query(
-    'SELECT id, username, avatar_color, avatar_emoji, avatar_image, is_admin, is_banned FROM users ORDER BY username ASC'
+    'SELECT id, slug, name, created_by, archived, is_private, slow_mode_seconds FROM rooms WHERE slug = $1',
+    [slug]
+  );
+  return result.rows[0];
+}
+
+async function getRoomByName(name) {
+  const result = await pool.query(
+    'SELECT id, slug, name, created_by, archived, is_private FROM rooms WHERE LOWER(name) = LOWER($1)',
+    [name]
+  );
+  return result.rows[0];
+}
+
+// All active public channels plus the private ones this user belongs to,
+// flagged with whether (and as what) this user has joined them
+async function getRoomsForUser(userId) {
+  const result = await pool.query(
+    `SELECT r.id, r.slug, r.name, r.created_by, r.is_private, r.slow_mode_seconds,
+            (m.user_id IS NOT NULL) AS is_member, m.role
+     FROM rooms r
+     LEFT JOIN room_members m ON m.room_id = r.id AND m.user_id = $1
+     WHERE r.archived = FALSE AND (r.is_private = FALSE OR m.user_id IS NOT NULL)
+     ORDER BY r.name ASC`,
+    [userId]
   );
   return result.rows;
 }
 
-// Save avatar color, emoji, AND optional profile picture
-async function updateUserAvatar(userId, color, emoji, image) {
+async function renameRoom(slug, name) {
+  const result = await pool.query(
+    'UPDATE rooms SET name = $1 WHERE slug = $2 RETURNING id, slug, name, is_private, slow_mode_seconds',
+    [name, slug]
+  );
+  return result.rows[0];
+}
+
+async function setSlowMode(slug, seconds) {
+  const result = await pool.query(
+    'UPDATE rooms SET slow_mode_seconds = $1 WHERE slug = $2 RETURNING id, slug, name, is_private, slow_mode_seconds',
+    [seconds, slug]
+  );
+  return result.rows[0];
+}
+
+async function setRoomArchived(slug, archived) {
+  await pool.query('UPDATE rooms SET archived = $1 WHERE slug = $2', [archived, slug]);
+}
+
+async function joinRoom(slug, userId, role = 'member') {
+  const result = await pool.query(
+    `INSERT INTO room_members (room_id, user_id, role)
+     SELECT id, $2, $3 FROM rooms WHERE slug = $1
+     ON CONFLICT DO NOTHING
+     RETURNING room_id`,
+    [slug, userId, role]
+  );
+  // Newcomers start caught up instead of with the channel's whole history unread
+  if (result.rowCount > 0) {
+    await pool.query(
+      `INSERT INTO read_state (user_id, room, last_read_message_id)
+       SELECT $1::int, $2::text, COALESCE(MAX(id), 0) FROM messages WHERE room = $2::text
+       ON CONFLICT (user_id, room) DO UPDATE SET last_read_message_id = EXCLUDED.last_read_message_id`,
+      [userId, slug]
+    );
+  }
+}
+
+// Returns { role } if the user is in the channel, undefined otherwise
+async function getRoomMember(slug, userId) {
+  const result = await pool.query(
+    `SELECT m.role FROM room_members m
+     JOIN rooms r ON r.id = m.room_id
+     WHERE r.slug = $1 AND m.user_id = $2`,
+    [slug, userId]
+  );
+  return result.rows[0];
+}
+
+async function setRoomMemberRole(slug, userId, role) {
+  const result = await pool.query(
+    `UPDATE room_members m SET role = $3
+     FROM rooms r
+     WHERE r.id = m.room_id AND r.slug = $1 AND m.user_id = $2
+     RETURNING m.role`,
+    [slug, userId, role]
+  );
+  return result.rows[0];
+}
+
+async function getRoomMembers(slug) {
+  const result = await pool.query(
+    `SELECT u.id, u.username, m.role
+     FROM room_members m
+     JOIN rooms r ON r.id = m.room_id
+     JOIN users u ON u.id = m.user_id
+     WHERE r.slug = $1
+     ORDER BY m.role DESC, u.username ASC`,
+    [slug]
+  );
+  return result.rows;
+}
+
+async function leaveRoom(slug, userId) {
   await pool.query(
-    'UPDATE users SET avatar_color = $1, avatar_emoji = $2, avatar_image = $3 WHERE id = $4',
-    [color, emoji, image || null, userId]
+    'DELETE FROM room_members WHERE user_id = $2 AND room_id = (SELECT id FROM rooms WHERE slug = $1)',
+    [slug, userId]
+  );
+  await pool.query('DELETE FROM read_state WHERE user_id = $1 AND room = $2', [userId, slug]);
+}
+
+// ── Read state functions ──────────────────────────────────────────────────────
+
+// Only ever moves forward, so a stale tab can't mark newer messages unread again
+async function markRead(userId, room, messageId) {
+  const result = await pool.query(
+    `INSERT INTO read_state (user_id, room, last_read_message_id) VALUES ($1, $2, $3)
+     ON CONFLICT (user_id, room) DO UPDATE
+       SET last_read_message_id = GREATEST(read_state.last_read_message_id, EXCLUDED.last_read_message_id)
+     RETURNING last_read_message_id`,
+    [userId, room, messageId]
   );
+  return result.rows[0].last_read_message_id;
 }
 
-async function setBanned(userId, banned) {
-  await pool.query('UPDATE users SET is_banned = $1 WHERE id = $2', [banned, userId]);
+async function getLastRead(userId, room) {
+  const result = await pool.query(
+    'SELECT last_read_message_id FROM read_state WHERE user_id = $1 AND room = $2',
+    [userId, room]
+  );
+  return result.rows[0]?.last_read_message_id ?? 0;
+}
+
+// { [room]: count } of unread top-level messages from other people, across
+// the user's joined channels and their DMs
+async function getUnreadCounts(userId) {
+  const result = await pool.query(
+    `SELECT m.room, COUNT(*)::int AS unread
+     FROM messages m
+     LEFT JOIN read_state rs ON rs.user_id = $1 AND rs.room = m.room
+     WHERE m.parent_id IS NULL
+       AND m.deleted_at IS NULL
+       AND m.sender_id IS DISTINCT FROM $1
+       AND m.id > COALESCE(rs.last_read_message_id, 0)
+       AND (
+         m.room IN (
+           SELECT r.slug FROM rooms r
+           JOIN room_members rm ON rm.room_id = r.id AND rm.user_id = $1::int
+           WHERE r.archived = FALSE
+         )
+         OR (m.room LIKE 'dm:%' AND $1::text IN (split_part(m.room, ':', 2), split_part(m.room, ':', 3)))
+       )
+     GROUP BY m.room`,
+    [userId]
+  );
+  const counts = {};
+  for (const row of result.rows) counts[row.room] = row.unread;
+  return counts;
 }
 
 // ── Message functions ─────────────────────────────────────────────────────────
 
-async function saveMessage(senderId, room, content, imageData) {
+async function saveMessage(senderId, room, content, attachmentId, parentId) {
   const result = await pool.query(
-    'INSERT INTO messages (sender_id, room, content, image_data) VALUES ($1, $2, $3, $4) RETURNING id, created_at',
-    [senderId, room, content || '', imageData || null]
+    'INSERT INTO messages (sender_id, room, content, attachment_id, parent_id) VALUES ($1, $2, $3, $4, $5) RETURNING id, created_at',
+    [senderId, room, content || '', attachmentId || null, parentId || null]
   );
   return result.rows[0];
 }
 
-// Only the message author can edit their own message
+// Only the message author can edit their own message. Both the old and the
+// new text end up in message_revisions, so nothing said is ever lost.
 async function editMessage(messageId, userId, content) {
   const result = await pool.query(
-    `UPDATE messages SET content = $1, edited = TRUE
-     WHERE id = $2 AND sender_id = $3
-     RETURNING id, room`,
+    `UPDATE messages m SET content = $1, edited = TRUE
+     FROM (SELECT id, content FROM messages WHERE id = $2 AND deleted_at IS NULL FOR UPDATE) old
+     WHERE m.id = old.id AND m.sender_id = $3
+     RETURNING m.id, m.room, m.created_at, old.content AS old_content`,
     [content, messageId, userId]
   );
-  return result.rows[0];
+  const msg = result.rows[0];
+  if (!msg) return undefined;
+  await pool.query(
+    `INSERT INTO message_revisions (message_id, content, created_at)
+     SELECT $1::int, $2::text, $3 WHERE NOT EXISTS (SELECT 1 FROM message_revisions WHERE message_id = $1::int)`,
+    [msg.id, msg.old_content, msg.created_at]
+  );
+  await pool.query('INSERT INTO message_revisions (message_id, content) VALUES ($1, $2)', [msg.id, content]);
+  return { id: msg.id, room: msg.room };
+}
+
+// Oldest first; the last entry is the current text
+async function getMessageRevisions(messageId) {
+  const result = await pool.query(
+    'SELECT content, created_at FROM message_revisions WHERE message_id = $1 ORDER BY id',
+    [messageId]
+  );
+  return result.rows;
 }
 
-// Authors can delete their own; admins can delete anything
-async function deleteMessage(messageId, userId, isAdmin) {
-  const result = isAdmin
-    ? await pool.query('DELETE FROM messages WHERE id = $1 RETURNING id, room', [messageId])
-    : await pool.query('DELETE FROM messages WHERE id = $1 AND sender_id = $2 RETURNING id, room', [messageId, userId]);
+// Authors can delete their own; `canDeleteAny` (message.delete_any) lifts that.
+// The row stays behind as a tombstone until purgeDeletedMessages removes it.
+async function deleteMessage(messageId, userId, canDeleteAny) {
+  const result = await pool.query(
+    `UPDATE messages SET deleted_at = NOW(), deleted_by = $2
+     WHERE id = $1 AND deleted_at IS NULL AND ($3 OR sender_id = $2)
+     RETURNING id, room, parent_id, sender_id`,
+    [messageId, userId, !!canDeleteAny]
+  );
   return result.rows[0];
 }
 
-async function clearRoom(room) {
-  await pool.query('DELETE FROM messages WHERE room = $1', [room]);
+// Soft-deletes the whole room; tombstones already there keep who deleted them and when
+async function clearRoom(room, adminId) {
+  await pool.query(
+    `UPDATE messages
+     SET cleared = TRUE,
+         deleted_by = CASE WHEN deleted_at IS NULL THEN $2 ELSE deleted_by END,
+         deleted_at = COALESCE(deleted_at, NOW())
+     WHERE room = $1 AND NOT cleared`,
+    [room, adminId]
+  );
+}
+
+// Deleted messages in a room that can still be restored, most recently deleted
+// first, with their real content (admins only)
+async function getDeletedMessages(room, retentionDays) {
+  const result = await pool.query(
+    `SELECT m.id, m.content, ${ATTACHMENT_JSON} AS attachment, m.created_at, m.parent_id, m.cleared, m.deleted_at,
+            COALESCE(u.username, '${DELETED_USERNAME}') AS sender_username, d.username AS deleted_by_username
+     FROM messages m
+     LEFT JOIN users u ON m.sender_id = u.id
+     LEFT JOIN users d ON m.deleted_by = d.id
+     WHERE m.room = $1 AND m.deleted_at > NOW() - make_interval(days => $2)
+     ORDER BY m.deleted_at DESC, m.id DESC
+     LIMIT 200`,
+    [room, retentionDays]
+  );
+  return result.rows;
+}
+
+// Undo deletions that haven't been purged yet; returns the restored { id, room, parent_id }
+async function restoreMessages(messageIds, retentionDays) {
+  const result = await pool.query(
+    `UPDATE messages SET deleted_at = NULL, deleted_by = NULL, cleared = FALSE
+     WHERE id = ANY($1) AND deleted_at > NOW() - make_interval(days => $2)
+     RETURNING id, room, parent_id`,
+    [messageIds, retentionDays]
+  );
+  return result.rows;
+}
+
+// Retention: permanently remove messages deleted more than `retentionDays` ago.
+// A deleted thread parent with replies still around keeps its row (deleting it
+// would cascade to the replies) but loses its content and edit history.
+async function purgeDeletedMessages(retentionDays) {
+  const cutoff = 'NOW() - make_interval(days => $1)';
+  const purged = await pool.query(
+    `DELETE FROM messages m
+     WHERE m.deleted_at < ${cutoff}
+       AND NOT EXISTS (
+         SELECT 1 FROM messages r
+         WHERE r.parent_id = m.id AND (r.deleted_at IS NULL OR r.deleted_at >= ${cutoff})
+       )`,
+    [retentionDays]
+  );
+  const scrubbed = await pool.query(
+    `UPDATE messages SET content = '', attachment_id = NULL
+     WHERE deleted_at < ${cutoff} AND (content <> '' OR attachment_id IS NOT NULL)
+     RETURNING id`,
+    [retentionDays]
+  );
+  if (scrubbed.rows.length > 0) {
+    await pool.query('DELETE FROM message_revisions WHERE message_id = ANY($1)', [scrubbed.rows.map(r => r.id)]);
+  }
+  return purged.rowCount + scrubbed.rows.length;
 }
 
 // Toggle a reaction: if the row exists, delete it (un-react); if not, insert it (react)
 async function toggleReaction(messageId, userId, emoji) {
   const del = await pool.query(
-    'DELETE FROM reactions WHERE message_id = $1 AND user_id = $2 AND emoji = $3 RETURNING id',
+    'DELETE FROM reactions WHERE message_id = $1 AND user_id = $2 AND emoji = $3 RETURNING message_id',
     [messageId, userId, emoji]
   );
   if (del.rowCount > 0) return { added: false };
@@ -181,33 +797,660 @@ async function getMessageRoom(messageId) {
   return result.rows[0]?.room;
 }
 
-// Fetch messages for a room, including reactions
-async function getMessages(room) {
-  const msgResult = await pool.query(
-    `SELECT m.id, m.content, m.created_at, m.sender_id, m.edited, m.image_data,
-            u.username AS sender_username, u.avatar_color, u.avatar_emoji, u.avatar_image
-     FROM messages m
-     JOIN users u ON m.sender_id = u.id
-     WHERE m.room = $1
-     ORDER BY m.created_at ASC
-     LIMIT 50`,
-    [room]
-  );
-  const messages = msgResult.rows;
-  if (messages.length === 0) return [];
+async function getMessageMeta(messageId) {
+  const result = await pool.query('SELECT id, room, sender_id, parent_id, deleted_at FROM messages WHERE id = $1', [messageId]);
+  return result.rows[0];
+}
 
-  const ids = messages.map(m => m.id);
-  const rxGrouped = await getReactionsForMessages(ids);
+const PAGE_SIZE = 50;
 
+// Everything the client needs to render a message (sender info comes from users).
+// Deleted messages come back as tombstones: `deleted` set, content and image blanked.
+const MESSAGE_COLUMNS = `
+  m.id, m.created_at, m.sender_id, m.edited, m.parent_id,
+  CASE WHEN m.deleted_at IS NULL THEN m.content ELSE '' END AS content,
+  CASE WHEN m.deleted_at IS NULL THEN ${ATTACHMENT_JSON} END AS attachment,
+  (m.deleted_at IS NOT NULL) AS deleted,
+  COALESCE(u.username, '${DELETED_USERNAME}') AS sender_username, u.avatar_color, u.avatar_emoji, u.avatar_attachment_id`;
+
+async function withReactions(messages) {
+  if (messages.length === 0) return [];
+  const rxGrouped = await getReactionsForMessages(messages.map(m => m.id));
   return messages.map(m => ({
     ...m,
     reactions: formatReactions(rxGrouped[m.id] || [])
   }));
 }
 
+// Reply counts for top-level messages, plus the (up to 3) most recent repliers:
+// { [parentId]: { reply_count, last_reply_at, reply_user_ids } }
+async function getThreadSummaries(messageIds) {
+  if (messageIds.length === 0) return {};
+  const result = await pool.query(
+    `SELECT parent_id, sender_id, COUNT(*)::int AS replies, MAX(created_at) AS last_at
+     FROM messages WHERE parent_id = ANY($1) AND deleted_at IS NULL
+     GROUP BY parent_id, sender_id
+     ORDER BY last_at DESC`,
+    [messageIds]
+  );
+  const summaries = {};
+  for (const row of result.rows) {
+    if (!summaries[row.parent_id]) {
+      summaries[row.parent_id] = { reply_count: 0, last_reply_at: row.last_at, reply_user_ids: [] };
+    }
+    const summary = summaries[row.parent_id];
+    summary.reply_count += row.replies;
+    if (summary.reply_user_ids.length < 3) summary.reply_user_ids.push(row.sender_id);
+  }
+  return summaries;
+}
+
+async function getThreadSummary(parentId) {
+  const summaries = await getThreadSummaries([parentId]);
+  return summaries[parentId] || { reply_count: 0, last_reply_at: null, reply_user_ids: [] };
+}
+
+async function withThreadSummaries(messages) {
+  const summaries = await getThreadSummaries(messages.map(m => m.id));
+  return messages.map(m => ({ ...m, ...(summaries[m.id] || { reply_count: 0 }) }));
+}
+
+// A top-level message and all of its replies, oldest reply first
+async function getThread(parentId) {
+  const parentResult = await pool.query(
+    `SELECT ${MESSAGE_COLUMNS}, m.room
+     FROM messages m
+     LEFT JOIN users u ON m.sender_id = u.id
+     WHERE m.id = $1 AND m.parent_id IS NULL AND NOT m.cleared`,
+    [parentId]
+  );
+  if (!parentResult.rows[0]) return null;
+  const replyResult = await pool.query(
+    `SELECT ${MESSAGE_COLUMNS}
+     FROM messages m
+     LEFT JOIN users u ON m.sender_id = u.id
+     WHERE m.parent_id = $1 AND NOT m.cleared
+     ORDER BY m.id ASC
+     LIMIT 500`,
+    [parentId]
+  );
+  const [parent] = await withReactions(parentResult.rows);
+  return { parent, replies: await withReactions(replyResult.rows) };
+}
+
+// Everyone who wrote the parent or replied to it
+async function getThreadParticipants(parentId) {
+  const result = await pool.query(
+    'SELECT DISTINCT sender_id FROM messages WHERE (id = $1 OR parent_id = $1) AND sender_id IS NOT NULL',
+    [parentId]
+  );
+  return result.rows.map(r => r.sender_id);
+}
+
+// Fetch one page of a room's messages, including reactions.
+// Without `before` this is the newest page; pass the oldest message id you
+// already have to get the page before it. Messages come back oldest-first.
+// Thread replies are left out; each message carries its reply summary instead.
+async function getMessages(room, before) {
+  const msgResult = await pool.query(
+    `SELECT ${MESSAGE_COLUMNS}
+     FROM messages m
+     LEFT JOIN users u ON m.sender_id = u.id
+     WHERE m.room = $1 AND m.parent_id IS NULL AND NOT m.cleared AND ($2::int IS NULL OR m.id < $2)
+     ORDER BY m.id DESC
+     LIMIT $3`,
+    [room, before || null, PAGE_SIZE + 1] // one extra row tells us if there's more
+  );
+  const hasMore = msgResult.rows.length > PAGE_SIZE;
+  const messages = msgResult.rows.slice(0, PAGE_SIZE).reverse();
+  return { messages: await withThreadSummaries(await withReactions(messages)), hasMore };
+}
+
+// A page centred on one message, for jumping to a search result.
+// `hasNewer` tells the client the newest messages aren't on screen.
+async function getMessagesAround(room, messageId) {
+  const half = PAGE_SIZE / 2;
+  const older = await pool.query(
+    `SELECT ${MESSAGE_COLUMNS}
+     FROM messages m
+     LEFT JOIN users u ON m.sender_id = u.id
+     WHERE m.room = $1 AND m.parent_id IS NULL AND NOT m.cleared AND m.id <= $2
+     ORDER BY m.id DESC
+     LIMIT $3`,
+    [room, messageId, half + 1]
+  );
+  const newer = await pool.query(
+    `SELECT ${MESSAGE_COLUMNS}
+     FROM messages m
+     LEFT JOIN users u ON m.sender_id = u.id
+     WHERE m.room = $1 AND m.parent_id IS NULL AND NOT m.cleared AND m.id > $2
+     ORDER BY m.id ASC
+     LIMIT $3`,
+    [room, messageId, half + 1]
+  );
+  const messages = [
+    ...older.rows.slice(0, half).reverse(),
+    ...newer.rows.slice(0, half)
+  ];
+  return {
+    messages: await withThreadSummaries(await withReactions(messages)),
+    hasMore: older.rows.length > half,
+    hasNewer: newer.rows.length > half
+  };
+}
+
+// ── Audit log ─────────────────────────────────────────────────────────────────
+
+async function addAuditEntry(actorId, action, targetType, targetId, reason, details) {
+  await pool.query(
+    `INSERT INTO audit_log (actor_id, action, target_type, target_id, reason, details)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [actorId, action, targetType, targetId == null ? null : String(targetId), reason || null, details || null]
+  );
+}
+
+// Newest first, paged by id like message history. `filters` may hold action,
+// actor (username), targetType, targetId and before (an entry id).
+async function getAuditLog(filters) {
+  const params = [];
+  const where = ['TRUE'];
+  const add = (sql, value) => { params.push(value); where.push(sql.replace('?', `$${params.length}`)); };
+  if (filters.action) add('a.action = ?', filters.action);
+  if (filters.actor) add('LOWER(actor.username) = LOWER(?)', filters.actor);
+  if (filters.targetType) add('a.target_type = ?', filters.targetType);
+  if (filters.targetId) add('a.target_id = ?', String(filters.targetId));
+  if (filters.before) add('a.id < ?', filters.before);
+  params.push(PAGE_SIZE + 1);
+  const result = await pool.query(
+    `SELECT a.id, a.action, a.target_type, a.target_id, a.reason, a.details, a.created_at,
+            a.actor_id, actor.username AS actor_username,
+            CASE WHEN a.target_type = 'user' THEN target_user.username END AS target_username
+     FROM audit_log a
+     LEFT JOIN users actor ON a.actor_id = actor.id
+     LEFT JOIN users target_user ON a.target_type = 'user' AND a.target_id = target_user.id::text
+     WHERE ${where.join(' AND ')}
+     ORDER BY a.id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return { entries: result.rows.slice(0, PAGE_SIZE), hasMore: result.rows.length > PAGE_SIZE };
+}
+
+// ── Two-factor ────────────────────────────────────────────────────────────────
+
+async function getTotp(userId) {
+  const result = await pool.query('SELECT totp_secret, totp_enabled, totp_last_step FROM users WHERE id = $1', [userId]);
+  return result.rows[0];
+}
+
+// Start (or restart) enrollment: the secret isn't used until enableTotp
+async function setPendingTotp(userId, secret) {
+  await pool.query(
+    'UPDATE users SET totp_secret = $1, totp_last_step = NULL WHERE id = $2 AND NOT totp_enabled',
+    [secret, userId]
+  );
+}
+
+// Turn 2FA on and replace any recovery codes with `codeHashes`
+async function enableTotp(userId, step, codeHashes) {
+  await pool.query('UPDATE users SET totp_enabled = TRUE, totp_last_step = $1 WHERE id = $2', [step, userId]);
+  await setRecoveryCodes(userId, codeHashes);
+}
+
+async function disableTotp(userId) {
+  await pool.query('UPDATE users SET totp_enabled = FALSE, totp_secret = NULL, totp_last_step = NULL WHERE id = $1', [userId]);
+  await pool.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+}
+
+// Record a code's time step. False if that step (or a later one) was already used.
+async function useTotpStep(userId, step) {
+  const result = await pool.query(
+    `UPDATE users SET totp_last_step = $1
+     WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)
+     RETURNING id`,
+    [step, userId]
+  );
+  return result.rowCount > 0;
+}
+
+async function setRecoveryCodes(userId, codeHashes) {
+  await pool.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+  for (const hash of codeHashes) {
+    await pool.query('INSERT INTO recovery_codes (user_id, code_hash) VALUES ($1, $2)', [userId, hash]);
+  }
+}
+
+// Spend a recovery code; true if it was valid and unused
+async function useRecoveryCode(userId, codeHash) {
+  const result = await pool.query(
+    'UPDATE recovery_codes SET used_at = NOW() WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL RETURNING id',
+    [userId, codeHash]
+  );
+  return result.rowCount > 0;
+}
+
+async function countRecoveryCodes(userId) {
+  const result = await pool.query('SELECT COUNT(*) FROM recovery_codes WHERE user_id = $1 AND used_at IS NULL', [userId]);
+  return Number(result.rows[0].count);
+}
+
+// Users in `roles` who haven't turned 2FA on
+async function getUsersWithoutTotp(roles) {
+  const result = await pool.query('SELECT id FROM users WHERE role = ANY($1) AND NOT totp_enabled', [roles]);
+  return result.rows.map(r => r.id);
+}
+
+// ── Settings ──────────────────────────────────────────────────────────────────
+
+// The stored value, or `fallback` if it was never set
+async function getSetting(key, fallback) {
+  const result = await pool.query('SELECT value FROM settings WHERE key = $1', [key]);
+  return result.rows[0] ? result.rows[0].value : fallback;
+}
+
+async function setSetting(key, value) {
+  await pool.query(
+    `INSERT INTO settings (key, value) VALUES ($1, $2)
+     ON CONFLICT (key) DO UPDATE SET value = $2, updated_at = NOW()`,
+    [key, JSON.stringify(value)]
+  );
+}
+
+// ── Invites ───────────────────────────────────────────────────────────────────
+
+async function createInvite(code, createdBy, maxUses, expiresAt, note) {
+  const result = await pool.query(
+    `INSERT INTO invites (code, created_by, max_uses, expires_at, note)
+     VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+    [code, createdBy, maxUses, expiresAt, note]
+  );
+  return result.rows[0];
+}
+
+// Newest first, with who made each invite and who joined with it
+async function getInvites() {
+  const result = await pool.query(
+    `SELECT i.*, creator.username AS created_by_username,
+            COALESCE(json_agg(json_build_object('id', u.id, 'username', u.username) ORDER BY u.id)
+                     FILTER (WHERE u.id IS NOT NULL), '[]') AS used_by
+     FROM invites i
+     LEFT JOIN users creator ON i.created_by = creator.id
+     LEFT JOIN users u ON u.invite_id = i.id
+     GROUP BY i.id, creator.username
+     ORDER BY i.id DESC`
+  );
+  return result.rows;
+}
+
+async function revokeInvite(inviteId) {
+  const result = await pool.query(
+    'UPDATE invites SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL RETURNING *',
+    [inviteId]
+  );
+  return result.rows[0];
+}
+
+// ── Login attempts ────────────────────────────────────────────────────────────
+
+// When the soonest of `keys` may try again, or null if none is blocked
+async function getLoginBlock(keys) {
+  const result = await pool.query(
+    'SELECT MAX(locked_until) AS until FROM login_attempts WHERE key = ANY($1) AND locked_until > NOW()',
+    [keys]
+  );
+  return result.rows[0].until;
+}
+
+// Count a failure and return the new total. A key with no failures for
+// `windowMinutes` starts again from one.
+async function recordLoginFailure(key, windowMinutes) {
+  const result = await pool.query(
+    `INSERT INTO login_attempts (key, failures) VALUES ($1, 1)
+     ON CONFLICT (key) DO UPDATE SET
+       failures = CASE WHEN login_attempts.last_failure_at < NOW() - make_interval(mins => $2)
+                       THEN 1 ELSE login_attempts.failures + 1 END,
+       last_failure_at = NOW()
+     RETURNING failures`,
+    [key, windowMinutes]
+  );
+  return result.rows[0].failures;
+}
+
+async function setLoginLock(key, until) {
+  await pool.query('UPDATE login_attempts SET locked_until = $2 WHERE key = $1', [key, until]);
+}
+
+async function clearLoginFailures(key) {
+  const result = await pool.query('DELETE FROM login_attempts WHERE key = $1', [key]);
+  return result.rowCount > 0;
+}
+
+// Keys that are locked right now, for the admin view. user_id is set when a
+// "user:" key names a real account.
+async function getLockedLogins() {
+  const result = await pool.query(
+    `SELECT a.key, a.failures, a.last_failure_at, a.locked_until, u.id AS user_id
+     FROM login_attempts a
+     LEFT JOIN users u ON a.key = 'user:' || LOWER(u.username)
+     WHERE a.locked_until > NOW()
+     ORDER BY a.locked_until DESC`
+  );
+  return result.rows;
+}
+
+async function purgeLoginAttempts(windowMinutes) {
+  await pool.query(
+    `DELETE FROM login_attempts
+     WHERE last_failure_at < NOW() - make_interval(mins => $1) AND (locked_until IS NULL OR locked_until < NOW())`,
+    [windowMinutes]
+  );
+}
+
+// ── Sessions ──────────────────────────────────────────────────────────────────
+
+// `device` is { userAgent, ip } from the login request
+async function createSession(userId, tokenHash, expiresAt, device) {
+  const result = await pool.query(
+    `INSERT INTO sessions (user_id, token_hash, expires_at, user_agent, ip)
+     VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+    [userId, tokenHash, expiresAt, device.userAgent, device.ip]
+  );
+  return result.rows[0];
+}
+
+async function getSession(sessionId) {
+  if (!Number.isInteger(sessionId)) return null;
+  const result = await pool.query('SELECT * FROM sessions WHERE id = $1', [sessionId]);
+  return result.rows[0] || null;
+}
+
+// Swap in a new refresh token, but only if `oldHash` is still the current one
+// (two refreshes racing with the same token can't both win)
+async function rotateSession(sessionId, oldHash, newHash, expiresAt) {
+  const result = await pool.query(
+    `UPDATE sessions SET previous_hash = token_hash, token_hash = $3, expires_at = $4, last_used_at = NOW()
+     WHERE id = $1 AND token_hash = $2 AND revoked_at IS NULL
+     RETURNING *`,
+    [sessionId, oldHash, newHash, expiresAt]
+  );
+  return result.rows[0] || null;
+}
+
+// A user's live sessions, most recently used first
+async function getUserSessions(userId) {
+  const result = await pool.query(
+    `SELECT id, user_agent, ip, created_at, last_used_at FROM sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+// Record activity on a session. At most one write a minute per session,
+// since this runs on every request.
+async function touchSession(sessionId, ip) {
+  await pool.query(
+    `UPDATE sessions SET last_used_at = NOW(), ip = $2
+     WHERE id = $1 AND last_used_at < NOW() - INTERVAL '1 minute'`,
+    [sessionId, ip]
+  );
+}
+
+async function revokeSession(sessionId) {
+  await pool.query('UPDATE sessions SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL', [sessionId]);
+}
+
+// Log a user out everywhere, or everywhere but `exceptId`; returns the revoked session ids
+async function revokeUserSessions(userId, exceptId = null) {
+  const result = await pool.query(
+    `UPDATE sessions SET revoked_at = NOW()
+     WHERE user_id = $1 AND revoked_at IS NULL AND id IS DISTINCT FROM $2
+     RETURNING id`,
+    [userId, exceptId]
+  );
+  return result.rows.map(r => r.id);
+}
+
+// Revoked and expired sessions can't be used again; drop them
+async function purgeSessions() {
+  const result = await pool.query('DELETE FROM sessions WHERE revoked_at IS NOT NULL OR expires_at < NOW()');
+  return result.rowCount;
+}
+
+// ── Search ────────────────────────────────────────────────────────────────────
+
+// Search every room the user can read: public channels, private channels they
+// belong to, and their own DMs. `filters` may hold text, fromUsername, room,
+// after, before (dates), hasImage and hasFile. Best matches first, newest first on ties.
+async function searchMessages(userId, filters) {
+  const params = [userId];
+  const where = [
+    'm.deleted_at IS NULL',
+    `(
+      (m.room LIKE 'dm:%' AND $1::text IN (split_part(m.room, ':', 2), split_part(m.room, ':', 3)))
+      OR m.room IN (
+        SELECT r.slug FROM rooms r
+        LEFT JOIN room_members rm ON rm.room_id = r.id AND rm.user_id = $1::int
+        WHERE r.archived = FALSE AND (r.is_private = FALSE OR rm.user_id IS NOT NULL)
+      )
+    )`
+  ];
+  let rank = '0';
+  let snippet = 'LEFT(m.content, 200)';
+
+  if (filters.text) {
+    params.push(filters.text);
+    const query = `websearch_to_tsquery('english', $${params.length})`;
+    where.push(`to_tsvector('english', m.content) @@ ${query}`);
+    rank = `ts_rank(to_tsvector('english', m.content), ${query})`;
+    // \x02/\x03 wrap the matched words; the client turns them into <mark>s
+    snippet = `ts_headline('english', m.content, ${query}, 'StartSel=' || chr(2) || ', StopSel=' || chr(3) || ', MaxWords=30, MinWords=10')`;
+  }
+  if (filters.fromUsername) {
+    params.push(filters.fromUsername);
+    where.push(`LOWER(u.username) = LOWER($${params.length})`);
+  }
+  if (filters.room) {
+    params.push(filters.room);
+    where.push(`m.room = $${params.length}`);
+  }
+  if (filters.after) {
+    params.push(filters.after);
+    where.push(`m.created_at >= $${params.length}::date`);
+  }
+  if (filters.before) {
+    params.push(filters.before);
+    where.push(`m.created_at < $${params.length}::date + 1`);
+  }
+  if (filters.hasImage) where.push(`a.content_type LIKE 'image/%'`);
+  if (filters.hasFile) where.push(`a.content_type NOT LIKE 'image/%'`);
+
+  const result = await pool.query(
+    `SELECT m.id, m.room, m.parent_id, m.created_at, m.sender_id, COALESCE(u.username, '${DELETED_USERNAME}') AS sender_username,
+            COALESCE(a.content_type LIKE 'image/%', FALSE) AS has_image,
+            COALESCE(a.content_type NOT LIKE 'image/%', FALSE) AS has_file,
+            ${snippet} AS snippet, ${rank} AS rank
+     FROM messages m
+     LEFT JOIN users u ON m.sender_id = u.id
+     LEFT JOIN attachments a ON a.id = m.attachment_id
+     WHERE ${where.join(' AND ')}
+     ORDER BY rank DESC, m.id DESC
+     LIMIT ${PAGE_SIZE}`,
+    params
+  );
+  return result.rows;
+}
+
+// ── Attachments ───────────────────────────────────────────────────────────────
+
+// `image` is { width, height, thumbnailKey } for pictures
+async function createAttachment(storageKey, uploaderId, filename, contentType, size, image = {}) {
+  const result = await pool.query(
+    `INSERT INTO attachments (storage_key, uploader_id, filename, content_type, size, width, height, thumbnail_key)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+    [storageKey, uploaderId, filename, contentType, size, image.width || null, image.height || null, image.thumbnailKey || null]
+  );
+  return result.rows[0];
+}
+
+async function getAttachment(attachmentId) {
+  const result = await pool.query('SELECT * FROM attachments WHERE id = $1', [attachmentId]);
+  return result.rows[0];
+}
+
+// An upload of this user's that no message or avatar uses yet
+async function getUnusedAttachment(attachmentId, uploaderId) {
+  const result = await pool.query(
+    `SELECT * FROM attachments a
+     WHERE a.id = $1 AND a.uploader_id = $2
+       AND NOT EXISTS (SELECT 1 FROM messages m WHERE m.attachment_id = a.id)
+       AND NOT EXISTS (SELECT 1 FROM users u WHERE u.avatar_attachment_id = a.id)`,
+    [attachmentId, uploaderId]
+  );
+  return result.rows[0];
+}
+
+// Forget uploads older than `graceHours` that nothing points to (never sent,
+// replaced avatars, purged messages). Returns their storage keys (thumbnails
+// included) to delete.
+async function purgeOrphanAttachments(graceHours) {
+  const result = await pool.query(
+    `DELETE FROM attachments a
+     WHERE a.created_at < NOW() - make_interval(hours => $1)
+       AND NOT EXISTS (SELECT 1 FROM messages m WHERE m.attachment_id = a.id)
+       AND NOT EXISTS (SELECT 1 FROM users u WHERE u.avatar_attachment_id = a.id)
+     RETURNING storage_key, thumbnail_key`,
+    [graceHours]
+  );
+  return result.rows.flatMap(r => [r.storage_key, r.thumbnail_key]).filter(Boolean);
+}
+
+// Base64 images from before attachments existed, a batch at a time (see migrateInlineImages)
+async function getInlineMessageImages(limit) {
+  const result = await pool.query(
+    'SELECT id, sender_id AS owner_id, image_data AS data FROM messages WHERE image_data IS NOT NULL ORDER BY id LIMIT $1',
+    [limit]
+  );
+  return result.rows;
+}
+
+async function getInlineAvatars(limit) {
+  const result = await pool.query(
+    'SELECT id, id AS owner_id, avatar_image AS data FROM users WHERE avatar_image IS NOT NULL ORDER BY id LIMIT $1',
+    [limit]
+  );
+  return result.rows;
+}
+
+// attachmentId is null when the old data couldn't be read; the image is dropped either way
+async function moveInlineMessageImage(messageId, attachmentId) {
+  await pool.query('UPDATE messages SET attachment_id = $2, image_data = NULL WHERE id = $1', [messageId, attachmentId]);
+}
+
+async function moveInlineAvatar(userId, attachmentId) {
+  await pool.query('UPDATE users SET avatar_attachment_id = $2, avatar_image = NULL WHERE id = $1', [userId, attachmentId]);
+}
+
+// ── Account export & deletion ─────────────────────────────────────────────────
+
+// Everything we hold about a user, for them to download. Deleted messages that
+// haven't been purged yet are included (with deleted_at), since we still store them.
+async function getUserExport(userId) {
+  const profile = await pool.query(
+    `SELECT ${USER_COLUMNS}, created_at, totp_enabled FROM users WHERE id = $1`,
+    [userId]
+  );
+  if (!profile.rows[0]) return null;
+  const channels = await pool.query(
+    `SELECT r.slug, r.name, r.is_private, m.role, m.joined_at
+     FROM room_members m JOIN rooms r ON r.id = m.room_id
+     WHERE m.user_id = $1 ORDER BY m.joined_at`,
+    [userId]
+  );
+  const messages = await pool.query(
+    `SELECT m.id, m.room, m.parent_id, m.content, ${ATTACHMENT_JSON} AS attachment, m.created_at, m.edited, m.deleted_at,
+            COALESCE(json_agg(json_build_object('content', r.content, 'created_at', r.created_at) ORDER BY r.id)
+                     FILTER (WHERE r.id IS NOT NULL), '[]') AS revisions
+     FROM messages m
+     LEFT JOIN message_revisions r ON r.message_id = m.id
+     WHERE m.sender_id = $1 AND NOT m.cleared
+     GROUP BY m.id ORDER BY m.id`,
+    [userId]
+  );
+  const reactions = await pool.query(
+    `SELECT r.message_id, m.room, r.emoji
+     FROM reactions r JOIN messages m ON m.id = r.message_id
+     WHERE r.user_id = $1 ORDER BY r.message_id`,
+    [userId]
+  );
+  // Both sides of every DM conversation (the user's own side is in messages too)
+  const directMessages = await pool.query(
+    `SELECT m.id, m.room, m.parent_id, COALESCE(u.username, '${DELETED_USERNAME}') AS sender_username,
+            m.content, ${ATTACHMENT_JSON} AS attachment, m.created_at
+     FROM messages m
+     LEFT JOIN users u ON m.sender_id = u.id
+     WHERE m.room LIKE 'dm:%' AND $1::text IN (split_part(m.room, ':', 2), split_part(m.room, ':', 3))
+       AND m.deleted_at IS NULL
+     ORDER BY m.room, m.id`,
+    [userId]
+  );
+  const sessions = await pool.query(
+    'SELECT created_at, last_used_at, expires_at, revoked_at, user_agent, ip FROM sessions WHERE user_id = $1 ORDER BY id',
+    [userId]
+  );
+  return {
+    profile: profile.rows[0],
+    channels: channels.rows,
+    messages: messages.rows,
+    reactions: reactions.rows,
+    directMessages: directMessages.rows,
+    sessions: sessions.rows
+  };
+}
+
+// Removes a user for good. Sessions, memberships, reactions and so on go with
+// them (see the constraints in init). With `removeMessages` their messages are
+// deleted too, taking the replies in their threads with them, as deleting a
+// thread always does; otherwise the messages stay, with no author. Their
+// avatar goes too: returns its storage keys (thumbnail included) to delete.
+// It all happens in one transaction, so an account is never half-deleted.
+async function deleteUser(userId, removeMessages) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    if (removeMessages) await client.query('DELETE FROM messages WHERE sender_id = $1', [userId]);
+    const result = await client.query('DELETE FROM users WHERE id = $1 RETURNING avatar_attachment_id', [userId]);
+    const avatarId = result.rows[0]?.avatar_attachment_id;
+    const avatar = avatarId
+      ? await client.query('DELETE FROM attachments WHERE id = $1 RETURNING storage_key, thumbnail_key', [avatarId])
+      : { rows: [] };
+    await client.query('COMMIT');
+    return avatar.rows.flatMap(r => [r.storage_key, r.thumbnail_key]).filter(Boolean);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
 module.exports = {
-  init, createUser, getUserByUsername, getUserById, getAllUsers,
-  updateUserAvatar, setBanned, clearRoom, saveMessage,
-  editMessage, deleteMessage, toggleReaction, getReactionsForMessage,
-  getMessageRoom, getMessages
+  init, createUser, createUserWithInvite, getUserByUsername, getUserById, getAllUsers,
+  updateUserAvatar, setBanned, setMuted, liftExpiredSanctions, setUserRole, setStatus, touchLastSeen, clearExpiredStatuses,
+  getPasswordHash, setPassword, createPasswordReset, redeemPasswordReset,
+  getTotp, setPendingTotp, enableTotp, disableTotp, useTotpStep, setRecoveryCodes, useRecoveryCode, countRecoveryCodes,
+  getUsersWithoutTotp, getSetting, setSetting,
+  clearRoom, saveMessage,
+  editMessage, getMessageRevisions, deleteMessage, getDeletedMessages, restoreMessages, purgeDeletedMessages, toggleReaction, getReactionsForMessage,
+  getMessageRoom, getMessageMeta, getMessages, getThread, getThreadSummary, getThreadParticipants, getMessagesAround, searchMessages,
+  createRoom, getRoomBySlug, getRoomByName, getRoomsForUser, renameRoom, setSlowMode, setRoomArchived,
+  joinRoom, leaveRoom, getRoomMember, getRoomMembers, setRoomMemberRole,
+  markRead, getLastRead, getUnreadCounts,
+  addAuditEntry, getAuditLog,
+  createSession, getSession, getUserSessions, touchSession, rotateSession, revokeSession, revokeUserSessions, purgeSessions,
+  createInvite, getInvites, revokeInvite, getUserExport, deleteUser,
+  createAttachment, getAttachment, getUnusedAttachment, purgeOrphanAttachments,
+  getInlineMessageImages, getInlineAvatars, moveInlineMessageImage, moveInlineAvatar,
+  getLoginBlock, recordLoginFailure, setLoginLock, clearLoginFailures, getLockedLogins, purgeLoginAttempts
 };
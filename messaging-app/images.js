@@ -0,0 +1,67 @@
+// images.js - Checking and re-encoding uploaded images
+//
+// Nothing the browser says about an upload is trusted: the real format comes
+// from decoding the bytes, and what gets stored is a fresh encode of the
+// pixels. Re-encoding drops EXIF (camera details, GPS location), XMP and
+// anything else hiding in the file. Each image also gets a small thumbnail
+// for the message list.
+
+const sharp = require('sharp');
+
+// Formats we accept, and keep: each image is re-encoded in its own format so
+// GIFs stay animated and PNGs keep their transparency. No SVG: it can carry scripts.
+const FORMATS = {
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg', options: { quality: 82, mozjpeg: true } },
+  png:  { contentType: 'image/png',  extension: 'png', options: {} },
+  gif:  { contentType: 'image/gif',  extension: 'gif', options: {} },
+  webp: { contentType: 'image/webp', extension: 'webp', options: { quality: 82 } }
+};
+const IMAGE_TYPES = Object.values(FORMATS).map(f => f.contentType);
+const THUMBNAIL_TYPE = 'image/webp'; // keeps animation and transparency, and it's small
+
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000; // all frames together; stops "decompression bombs"
+const MAX_DIMENSION = 2048;   // bigger images are scaled down to fit
+const THUMBNAIL_SIZE = 320;
+
+// A sharp pipeline for the upload, upright (EXIF orientation applied) and at most `size` px
+function resized(buffer, pages, size) {
+  let image = sharp(buffer, { animated: true, limitInputPixels: MAX_INPUT_PIXELS });
+  if (pages === 1) image = image.rotate(); // animations have no EXIF orientation
+  return image.resize(size, size, { fit: 'inside', withoutEnlargement: true });
+}
+
+// Decode, check and re-encode an upload. Resolves to { error } when it's
+// refused, otherwise to { image, thumbnail }, each { buffer, contentType, width, height }
+// (image also has the file `extension` for its format).
+async function processImage(buffer) {
+  let metadata;
+  try { metadata = await sharp(buffer).metadata(); }
+  catch { return { error: 'That file is not an image we can read' }; }
+
+  const format = FORMATS[metadata.format];
+  if (!format) return { error: 'Only PNG, JPEG, GIF and WebP images can be attached' };
+  const pages = metadata.pages || 1;
+  const frameHeight = metadata.pageHeight || metadata.height;
+  if (metadata.width * frameHeight * pages > MAX_INPUT_PIXELS) {
+    return { error: `Images can be up to ${MAX_INPUT_PIXELS / 1000 / 1000} megapixels` };
+  }
+
+  try {
+    const full = await resized(buffer, pages, MAX_DIMENSION)
+      .toFormat(metadata.format, format.options)
+      .toBuffer({ resolveWithObject: true });
+    const thumb = await resized(buffer, pages, THUMBNAIL_SIZE)
+      .webp({ quality: 70 })
+      .toBuffer({ resolveWithObject: true });
+    const result = ({ data, info }, contentType) =>
+      ({ buffer: data, contentType, width: info.width, height: info.pageHeight || info.height });
+    return {
+      image: { ...result(full, format.contentType), extension: format.extension },
+      thumbnail: result(thumb, THUMBNAIL_TYPE)
+    };
+  } catch {
+    return { error: 'That file is not an image we can read' }; // e.g. truncated part-way through
+  }
+}
+
+module.exports = { processImage, IMAGE_TYPES, THUMBNAIL_TYPE };
@@ -0,0 +1,55 @@
+// permissions.js - Who may do what
+//
+// Every user has one site-wide role, and channel members also have a role in
+// each channel they belong to. Code asks "may this user do X?" with a named
+// permission and never checks a role directly, so changing what a role can do
+// only means editing the tables below.
+
+const PERMISSIONS = [
+  'message.delete_any', // delete other people's messages
+  'message.view_edits', // see edit history whatever EDIT_HISTORY_VISIBILITY says
+  'message.restore',    // see and restore deleted messages
+  'room.clear',         // wipe a room's history
+  'room.manage',        // rename/archive channels, invite/kick members, set channel roles
+  'user.ban',           // ban and unban people
+  'user.mute',          // stop people posting and reacting without locking them out
+  'user.unlock',        // clear lockouts caused by failed logins
+  'audit.view',         // read the moderation audit log
+  'role.assign',        // change other people's site-wide role
+  'user.reset_password', // issue password reset codes
+  'settings.manage',    // change site-wide settings, such as requiring 2FA for admins
+  'invite.manage'       // create and revoke registration invite codes
+];
+
+// Site-wide roles. Owners are set directly in the database; everyone else's
+// role is given out by someone ranked above them.
+const ROLES = {
+  owner:     PERMISSIONS,
+  admin:     PERMISSIONS,
+  moderator: ['message.delete_any', 'message.view_edits', 'message.restore', 'user.ban', 'user.mute', 'user.unlock', 'audit.view'],
+  member:    []
+};
+const ROLE_RANK = ['member', 'moderator', 'admin', 'owner']; // lowest first
+
+// Channel roles only apply inside that channel
+const ROOM_ROLES = {
+  owner:     ['message.delete_any', 'room.clear', 'room.manage'],
+  moderator: ['message.delete_any'],
+  member:    []
+};
+
+function hasPermission(role, permission) {
+  return !!ROLES[role]?.includes(permission);
+}
+
+function hasRoomPermission(role, roomRole, permission) {
+  return hasPermission(role, permission) || !!ROOM_ROLES[roomRole]?.includes(permission);
+}
+
+// You can only act on (ban, re-role) people ranked below you,
+// and only hand out roles below your own
+function outranks(role, otherRole) {
+  return ROLE_RANK.indexOf(role) > ROLE_RANK.indexOf(otherRole);
+}
+
+module.exports = { PERMISSIONS, ROLES, ROLE_RANK, ROOM_ROLES, hasPermission, hasRoomPermission, outranks };
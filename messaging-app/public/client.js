@@ -1,25 +1,51 @@
 // client.js - Everything the browser does on the chat page
 
 // ── State ─────────────────────────────────────────────────────────────────────
-const token  = localStorage.getItem('token');
+let token    = localStorage.getItem('token'); // short-lived; renewed from the refresh token in localStorage
 const myId   = Number(localStorage.getItem('userId'));
 const myName = localStorage.getItem('username');
 
-let currentRoom   = 'general';
+const DEFAULT_ROOM = 'general';
+const MESSAGE_IMAGE_SIZE = 300; // px; image previews fit in this square (see .message-image)
+
+let currentRoom   = DEFAULT_ROOM;
 let allUsers      = [];
-let unreadRooms   = new Set();
-let amIAdmin      = false;
+let channels      = []; // [{ slug, name, created_by, is_member }]
+let unreadCounts  = new Map(); // room -> unread message count (kept in sync with the server)
+let myRole        = 'member';
+let myPermissions = new Set(); // named permissions from my site-wide role (see permissions.js)
+let roleRank      = [];        // site-wide roles, lowest first
+let roomRolePermissions = {};  // channel role -> permissions it grants in that channel
+let editHistoryPolicy = 'everyone'; // who may open an "(edited)" timeline: everyone / author / admins
+let myStatus      = 'online'; // what I picked: online / away / dnd / invisible
 let soundEnabled  = localStorage.getItem('sound') !== 'off'; // default: on
-let pendingImage  = null; // base64 image waiting to be sent
+let pendingAttachment = null; // uploaded file waiting to be sent: { id, url, ... }
 let activeReactionMessageId = null; // which message the reaction picker is open for
 
+// History paging: the oldest message on screen is the cursor for the next page
+let oldestMessageId = null;
+let hasMoreHistory  = false;
+let loadingHistory  = false;
+let newestMessageId = null;  // newest message on screen; what we tell the server we've read
+let viewingContext  = false; // showing history around a search result instead of the latest messages
+let searchTimer     = null;
+let openThreadId    = null; // parent message shown in the thread panel
+let unreadThreads   = new Set(); // parent ids with replies you haven't opened yet
+
+// Typing indicators
+const TYPING_REFRESH_MS = 3000; // resend typing_start this often while typing (server expires it at 6s)
+const TYPING_IDLE_MS    = 4000; // stop after this long without a keypress
+let typingUsers      = new Map(); // room -> Map(userId -> { username, timer })
+let lastTypingSentAt = 0;
+let typingIdleTimer  = null;
+
 // Avatar modal state
 let myAvatarColor = '#7289da';
 let myAvatarEmoji = '';
 let myAvatarImage = null;
 let pendingColor  = myAvatarColor;
 let pendingEmoji  = myAvatarEmoji;
-let pendingImage_pfp = undefined; // undefined = unchanged, null = remove, string = new image
+let pendingImage_pfp = undefined; // undefined = unchanged, null = remove, { id, url } = new upload
 
 if (!token) window.location.href = '/index.html';
 
@@ -28,18 +54,118 @@ document.getElementById('my-username').textContent = myName;
 renderAvatar(document.getElementById('my-avatar'), myAvatarColor, myAvatarEmoji, myAvatarImage, myName);
 updateSoundButton();
 
+// ── Session ───────────────────────────────────────────────────────────────────
+// The access token expires after a few minutes. Shortly before it does we trade
+// the refresh token for a new pair; every tab shares the pair in localStorage.
+let refreshTimer = null;
+let refreshing   = null; // the refresh in flight, so callers share it
+
+// When a token expires (ms), read from its JWT payload
+function tokenExpiry(jwt) {
+  try { return JSON.parse(atob(jwt.split('.')[1].replace(/-/g, '+').replace(/_/g, '/'))).exp * 1000; }
+  catch { return 0; }
+}
+
+function scheduleRefresh() {
+  clearTimeout(refreshTimer);
+  refreshTimer = setTimeout(refreshSession, Math.max(tokenExpiry(token) - Date.now() - 60_000, 5_000));
+}
+
+// Resolves true once `token` is fresh again, false if we were sent to the login page.
+// Tabs take turns (Web Locks) so two can't spend the same refresh token.
+function refreshSession() {
+  if (!refreshing) {
+    const run = navigator.locks ? navigator.locks.request('refresh-session', renewToken) : renewToken();
+    refreshing = run.finally(() => { refreshing = null; });
+  }
+  return refreshing;
+}
+
+async function renewToken() {
+  // Another tab may have renewed it while we waited
+  const stored = localStorage.getItem('token');
+  if (stored && stored !== token && tokenExpiry(stored) - Date.now() > 60_000) return useToken(stored);
+  let res;
+  try {
+    res = await fetch('/api/refresh', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: localStorage.getItem('refreshToken') })
+    });
+  } catch {
+    scheduleRefresh(); // offline: try again shortly
+    return false;
+  }
+  const data = await res.json();
+  if (!res.ok) {
+    if (res.status === 403) alert(data.error); // banned
+    endSession();
+    return false;
+  }
+  localStorage.setItem('refreshToken', data.refreshToken);
+  localStorage.setItem('token', data.token);
+  return useToken(data.token);
+}
+
+function useToken(newToken) {
+  token = newToken;
+  scheduleRefresh();
+  if (socket.connected) socket.emit('reauthenticate', token);
+  return true;
+}
+
+// fetch() with my access token, renewing it once if the server says it expired
+async function authFetch(url, options = {}) {
+  const send = () => fetch(url, { ...options, headers: { ...options.headers, 'Authorization': `Bearer ${token}` } });
+  let res = await send();
+  if (res.status === 401 && (await res.clone().json().catch(() => ({}))).expired && await refreshSession()) res = await send();
+  return res;
+}
+
 // ── Socket ────────────────────────────────────────────────────────────────────
 const socket = io();
-socket.on('connect', () => socket.emit('authenticate', token));
+socket.on('connect', async () => {
+  if (tokenExpiry(token) - Date.now() < 10_000 && !await refreshSession()) return;
+  socket.emit('authenticate', token);
+});
+
+socket.on('authenticated', async ({ success, expired, editHistory, muted, ...permissions }) => {
+  if (!success) {
+    if (expired && await refreshSession()) socket.emit('authenticate', token);
+    else endSession();
+    return;
+  }
+  scheduleRefresh();
+  editHistoryPolicy = editHistory;
+  applyPermissions(permissions);
+  applyMute(muted);
+  socket.emit('get_messages', currentRoom);
+  if (openThreadId) socket.emit('open_thread', openThreadId); // the server forgot it on reconnect
+  if (isIdle) socket.emit('set_idle', true);
+});
+
+// My site-wide role changed (a users_list with everyone's roles follows)
+socket.on('permissions', (permissions) => {
+  applyPermissions(permissions);
+  if (!viewingContext) socket.emit('get_messages', currentRoom); // message actions depend on permissions
+});
+
+socket.on('banned', ({ reason, until } = {}) => {
+  alert(`Your account has been banned${until ? ` until ${formatDate(until)} ${formatTime(until)}` : ''}.` +
+    (reason ? `\nReason: ${reason}` : ''));
+  endSession(); // the ban already ended my sessions
+});
 
-socket.on('authenticated', ({ success, isAdmin }) => {
-  if (!success) { logout(); return; }
-  amIAdmin = isAdmin;
-  if (isAdmin) document.getElementById('clear-btn').classList.remove('hidden');
-  socket.emit('get_messages', 'general');
+// My token ran out before it was renewed (e.g. the laptop was asleep)
+socket.on('token_expired', async () => {
+  if (await refreshSession()) socket.connect();
 });
 
-socket.on('banned', () => { alert('Your account has been banned.'); logout(); });
+// This session was logged out, here or from another tab
+socket.on('logged_out', endSession);
+
+// A moderator muted or unmuted me (null = not muted)
+socket.on('muted', (mute) => applyMute(mute));
 socket.on('disconnect', () => showSystemMessage('Disconnected. Reconnecting...'));
 
 // ── Users ─────────────────────────────────────────────────────────────────────
@@ -49,7 +175,7 @@ socket.on('users_list', (users) => {
   if (me) {
     myAvatarColor = me.avatar_color || '#7289da';
     myAvatarEmoji = me.avatar_emoji || '';
-    myAvatarImage = me.avatar_image || null;
+    myAvatarImage = avatarUrl(me.id, me.avatar_version);
     pendingColor = myAvatarColor;
     pendingEmoji = myAvatarEmoji;
     renderAvatar(document.getElementById('my-avatar'), myAvatarColor, myAvatarEmoji, myAvatarImage, myName);
@@ -57,78 +183,294 @@ socket.on('users_list', (users) => {
   renderDmList(users);
 });
 
-socket.on('user_online', ({ id, username, avatar_color, avatar_emoji, avatar_image }) => {
-  document.querySelector(`.status-dot[data-uid="${id}"]`)?.classList.add('online');
-  const mini = document.querySelector(`.dm-mini-avatar[data-uid="${id}"]`);
-  if (mini) renderAvatar(mini, avatar_color, avatar_emoji, avatar_image, username);
+// Someone's presence changed: online / away / dnd / offline, status text, last seen
+socket.on('presence', ({ id, presence, status_text, last_seen }) => {
+  const user = allUsers.find(u => u.id === id);
+  if (!user) return;
+  Object.assign(user, { presence, status_text, last_seen });
+  renderPresence(user);
 });
 
-socket.on('user_offline', ({ id }) => {
-  document.querySelector(`.status-dot[data-uid="${id}"]`)?.classList.remove('online');
+// My own status settings (possibly changed from another tab)
+socket.on('my_status', ({ status, status_text }) => {
+  myStatus = status;
+  const dot = document.getElementById('my-status-dot');
+  dot.className = `status-dot ${status}`;
+  dot.parentElement.title = `${STATUS_LABELS[status]}${status_text ? ` — ${status_text}` : ''} (click to change)`;
 });
 
-socket.on('avatar_updated', ({ id, avatar_color, avatar_emoji, avatar_image }) => {
+socket.on('avatar_updated', ({ id, avatar_color, avatar_emoji, avatar_version }) => {
   const user = allUsers.find(u => u.id === id);
-  if (user) { user.avatar_color = avatar_color; user.avatar_emoji = avatar_emoji; user.avatar_image = avatar_image; }
+  if (user) { user.avatar_color = avatar_color; user.avatar_emoji = avatar_emoji; user.avatar_version = avatar_version; }
+  const imageUrl = avatarUrl(id, avatar_version);
   if (id === myId) {
-    myAvatarColor = avatar_color; myAvatarEmoji = avatar_emoji; myAvatarImage = avatar_image;
+    myAvatarColor = avatar_color; myAvatarEmoji = avatar_emoji; myAvatarImage = imageUrl;
     renderAvatar(document.getElementById('my-avatar'), myAvatarColor, myAvatarEmoji, myAvatarImage, myName);
   }
   const mini = document.querySelector(`.dm-mini-avatar[data-uid="${id}"]`);
-  if (mini) renderAvatar(mini, avatar_color, avatar_emoji, avatar_image, user?.username || '?');
+  if (mini) renderAvatar(mini, avatar_color, avatar_emoji, imageUrl, user?.username || '?');
   document.querySelectorAll(`.message-avatar[data-uid="${id}"]`).forEach(el =>
-    renderAvatar(el, avatar_color, avatar_emoji, avatar_image, user?.username || '?')
+    renderAvatar(el, avatar_color, avatar_emoji, imageUrl, user?.username || '?')
   );
 });
 
+// ── Typing ────────────────────────────────────────────────────────────────────
+socket.on('typing', ({ room, userId, username, typing }) => {
+  if (userId === myId) return; // our own other tab
+  if (!typingUsers.has(room)) typingUsers.set(room, new Map());
+  const users = typingUsers.get(room);
+  clearTimeout(users.get(userId)?.timer);
+  if (typing) {
+    // Forget them even if the stop event never arrives
+    const timer = setTimeout(() => { users.delete(userId); renderTypingIndicator(); }, 8000);
+    users.set(userId, { username, timer });
+  } else {
+    users.delete(userId);
+  }
+  renderTypingIndicator();
+});
+
+// ── Read state ────────────────────────────────────────────────────────────────
+socket.on('unread_counts', (counts) => {
+  unreadCounts = new Map(Object.entries(counts));
+  unreadCounts.delete(currentRoom); // we're looking at it; history load marks it read
+  document.querySelectorAll('.unread-badge').forEach(b => b.remove());
+  for (const room of unreadCounts.keys()) renderUnreadBadge(room);
+  updateTitle();
+});
+
+// This user read a room on some tab/device (maybe this one)
+socket.on('read_state', ({ room }) => clearUnread(room));
+
+// Coming back to the tab counts as reading what arrived meanwhile
+document.addEventListener('visibilitychange', () => { if (!document.hidden) markRead(); });
+
+// ── Channels ──────────────────────────────────────────────────────────────────
+socket.on('rooms_list', (rooms) => {
+  channels = rooms;
+  renderChannelList();
+  updateChannelActions(); // my role in the channel may have changed
+  // Kicked out of (or left) a private channel we were looking at
+  if (!currentRoom.startsWith('dm:') && !channels.some(c => c.slug === currentRoom)) {
+    openRoom(DEFAULT_ROOM, `# ${DEFAULT_ROOM}`);
+  }
+});
+
+socket.on('room_created', (room) => {
+  if (channels.some(c => c.slug === room.slug)) return;
+  channels.push({ ...room, is_member: room.created_by === myId });
+  channels.sort((a, b) => a.name.localeCompare(b.name));
+  renderChannelList();
+});
+
+socket.on('room_updated', ({ slug, name, slow_mode_seconds }) => {
+  const channel = channels.find(c => c.slug === slug);
+  if (!channel) return;
+  channel.name = name;
+  channel.slow_mode_seconds = slow_mode_seconds;
+  if (slug === currentRoom) updateChannelActions();
+  channels.sort((a, b) => a.name.localeCompare(b.name));
+  renderChannelList();
+  if (slug === currentRoom) {
+    document.getElementById('chat-title').textContent = channelLabel(channel);
+    document.getElementById('message-input').placeholder = `Message ${channelLabel(channel)}`;
+  }
+});
+
+socket.on('room_archived', ({ slug }) => {
+  channels = channels.filter(c => c.slug !== slug);
+  renderChannelList();
+  if (slug === currentRoom) openRoom(DEFAULT_ROOM, `# ${DEFAULT_ROOM}`);
+});
+
 // ── Messages ──────────────────────────────────────────────────────────────────
-socket.on('message_history', ({ room, messages }) => {
+socket.on('message_history', ({ room, messages, before, hasMore, hasNewer, around, lastReadMessageId }) => {
   if (room !== currentRoom) return;
   const area = document.getElementById('messages-area');
+  loadingHistory = false;
+  area.querySelector('.history-loader')?.remove();
+  hasMoreHistory = hasMore;
+  if (messages.length > 0) oldestMessageId = messages[0].id;
+
+  // An older page: prepend it and keep the view where the user was reading
+  if (before) {
+    const page = document.createDocumentFragment();
+    let lastDate = null;
+    for (const msg of messages) {
+      const d = formatDate(msg.created_at);
+      if (d !== lastDate) { page.appendChild(createDivider(d)); lastDate = d; }
+      page.appendChild(createMessageEl(msg));
+    }
+    // The page may end on the same day the screen starts with
+    const firstDivider = area.firstElementChild;
+    if (firstDivider?.classList.contains('day-divider') && firstDivider.textContent === lastDate) firstDivider.remove();
+    const distanceFromBottom = area.scrollHeight - area.scrollTop;
+    area.style.scrollBehavior = 'auto';
+    area.prepend(page);
+    area.scrollTop = area.scrollHeight - distanceFromBottom;
+    area.style.scrollBehavior = '';
+    return;
+  }
+
+  viewingContext = !!hasNewer;
+  document.getElementById('jump-latest').classList.toggle('hidden', !viewingContext);
   area.innerHTML = '';
   if (messages.length === 0) {
     area.innerHTML = '<p class="messages-placeholder">No messages yet. Say hi! 👋</p>';
     return;
   }
+  // "New messages" goes above the first message from someone else since we last read
+  const firstUnread = messages.find(m => m.id > (lastReadMessageId ?? Infinity) && m.sender_id !== myId);
   let lastDate = null;
   for (const msg of messages) {
     const d = formatDate(msg.created_at);
     if (d !== lastDate) { area.appendChild(createDivider(d)); lastDate = d; }
+    if (msg === firstUnread) area.appendChild(createNewMessagesDivider());
     area.appendChild(createMessageEl(msg));
   }
-  scrollToBottom();
+  newestMessageId = messages[messages.length - 1].id;
+  if (around) {
+    const target = document.getElementById(`msg-${around}`);
+    target?.classList.add('highlighted');
+    target?.scrollIntoView({ block: 'center' });
+  } else if (firstUnread) {
+    area.querySelector('.new-divider').scrollIntoView({ block: 'start' });
+  } else {
+    scrollToBottom();
+  }
+  markRead();
+});
+
+// Infinite scroll: fetch the previous page when the user nears the top
+document.getElementById('messages-area').addEventListener('scroll', (e) => {
+  if (e.target.scrollTop > 100 || !hasMoreHistory || loadingHistory) return;
+  loadingHistory = true;
+  const loader = document.createElement('p');
+  loader.className = 'messages-placeholder history-loader';
+  loader.textContent = 'Loading older messages...';
+  e.target.prepend(loader);
+  socket.emit('get_messages', { room: currentRoom, before: oldestMessageId });
 });
 
 socket.on('message', (msg) => {
-  if (msg.room === currentRoom) {
+  if (msg.room === currentRoom && viewingContext) {
+    // Not appended: it would leave a gap below the search context. Jump to latest shows it.
+    if (soundEnabled) playNotificationSound();
+  } else if (msg.room === currentRoom) {
     const area = document.getElementById('messages-area');
     area.querySelector('.messages-placeholder')?.remove();
     area.appendChild(createMessageEl(msg));
     scrollToBottom();
-    if (document.hidden && soundEnabled) playNotificationSound();
-  } else {
-    markUnread(msg.room, msg.sender_username);
+    newestMessageId = msg.id;
+    if (document.hidden && msg.sender_id !== myId) {
+      markUnread(msg.room); // read once the tab is visible again
+      if (soundEnabled) playNotificationSound();
+    } else {
+      markRead();
+    }
+  } else if (msg.sender_id !== myId) {
+    markUnread(msg.room);
     if (soundEnabled) playNotificationSound();
   }
 });
 
-// Someone edited a message — update it on screen
-socket.on('message_edited', ({ messageId, content }) => {
-  const bubble = document.querySelector(`.message-bubble[data-id="${messageId}"]`);
-  if (!bubble) return;
-  bubble.textContent = content;
-  const header = bubble.closest('.message-content')?.querySelector('.message-header');
-  if (header && !header.querySelector('.edited-label')) {
-    const label = document.createElement('span');
-    label.className = 'edited-label';
-    label.textContent = '(edited)';
-    header.appendChild(label);
+// Someone edited a message — update it on screen (a thread's parent can be shown twice)
+socket.on('message_edited', ({ messageId, content, senderId }) => {
+  document.querySelectorAll(`.message-bubble[data-id="${messageId}"]`).forEach(bubble => {
+    bubble.textContent = content;
+    const header = bubble.closest('.message-content')?.querySelector('.message-header');
+    if (header && !header.querySelector('.edited-label')) {
+      header.appendChild(createEditedLabel(messageId, senderId));
+    }
+  });
+  // Keep an open timeline up to date
+  if (document.getElementById('revisions-modal').dataset.messageId === String(messageId)) {
+    socket.emit('get_message_history', messageId);
   }
 });
 
-// Someone deleted a message — remove it from the DOM
+// The revision timeline for one edited message
+socket.on('message_revisions', ({ messageId, revisions }) => {
+  const modal = document.getElementById('revisions-modal');
+  if (modal.dataset.messageId !== String(messageId)) return;
+  const list = document.getElementById('revision-list');
+  list.innerHTML = '';
+  revisions.forEach((rev, i) => {
+    const row = document.createElement('div');
+    row.className = 'revision-row';
+    const meta = document.createElement('div');
+    meta.className = 'revision-meta';
+    const label = i === 0 ? 'Original' : i === revisions.length - 1 ? 'Current' : `Edit ${i}`;
+    meta.textContent = `${label} · ${formatDate(rev.created_at)} ${formatTime(rev.created_at)}`;
+    const text = document.createElement('div');
+    text.className = 'revision-content';
+    text.textContent = rev.content;
+    row.appendChild(meta);
+    row.appendChild(text);
+    list.appendChild(row);
+  });
+});
+
+// Someone deleted a message — leave a tombstone where it was (its thread stays)
 socket.on('message_deleted', ({ messageId }) => {
-  document.getElementById(`msg-${messageId}`)?.remove();
+  const copies = [document.getElementById(`msg-${messageId}`)];
+  if (messageId === openThreadId) copies.push(document.querySelector('#thread-messages .thread-parent'));
+  for (const el of copies) {
+    if (!el) continue;
+    const content = el.querySelector('.message-content');
+    content.querySelectorAll('.message-image, .message-bubble, .reactions-bar, .message-actions, .edited-label')
+      .forEach(child => child.remove());
+    content.querySelector('.message-header').after(createTombstone());
+    el.classList.add('deleted');
+  }
+  if (!document.getElementById('deleted-modal').classList.contains('hidden')) loadDeletedMessages();
+});
+
+// An admin restored deleted messages — reload whatever shows them
+socket.on('messages_restored', ({ room }) => {
+  if (room === currentRoom && !viewingContext) socket.emit('get_messages', currentRoom);
+  if (openThreadId) socket.emit('open_thread', openThreadId);
+});
+
+// ── Threads ───────────────────────────────────────────────────────────────────
+socket.on('thread_history', ({ parent, replies }) => {
+  if (parent.id !== openThreadId) return;
+  const list = document.getElementById('thread-messages');
+  list.innerHTML = '';
+  // A read-only copy of the parent; its actions stay on the original in the room
+  const parentEl = createMessageEl(parent);
+  parentEl.id = '';
+  parentEl.classList.add('thread-parent');
+  parentEl.querySelector('.message-actions')?.remove();
+  list.appendChild(parentEl);
+  for (const reply of replies) list.appendChild(createMessageEl(reply));
+  list.scrollTop = list.scrollHeight;
+});
+
+// Sent to people viewing the thread and to everyone who took part in it
+socket.on('thread_message', (msg) => {
+  if (msg.parent_id === openThreadId) {
+    const list = document.getElementById('thread-messages');
+    list.appendChild(createMessageEl(msg));
+    list.scrollTop = list.scrollHeight;
+    if (document.hidden && soundEnabled) playNotificationSound();
+    return;
+  }
+  if (msg.sender_id === myId) return;
+  unreadThreads.add(msg.parent_id);
+  document.querySelector(`.thread-summary[data-id="${msg.parent_id}"]`)?.classList.add('unread');
+  if (soundEnabled) playNotificationSound();
+});
+
+// Reply count / repliers changed — redraw the summary under the parent
+socket.on('thread_updated', ({ messageId, ...summary }) => {
+  const el = document.getElementById(`msg-${messageId}`);
+  if (!el) return;
+  const existing = el.querySelector('.thread-summary');
+  if (summary.reply_count === 0) { existing?.remove(); return; }
+  const fresh = createThreadSummary(messageId, summary);
+  if (existing) existing.replaceWith(fresh);
+  else el.querySelector('.message-content').insertBefore(fresh, el.querySelector('.message-actions'));
 });
 
 // Reactions updated — re-render the reactions bar on that message
@@ -164,8 +506,9 @@ function createMessageEl(msg) {
     const avatarEl = document.createElement('div');
     avatarEl.className = 'message-avatar';
     avatarEl.dataset.uid = msg.sender_id;
-    const user = allUsers.find(u => u.id === msg.sender_id);
-    renderAvatar(avatarEl, user?.avatar_color || msg.avatar_color, user?.avatar_emoji || msg.avatar_emoji, user?.avatar_image || msg.avatar_image, msg.sender_username);
+    // The user's current avatar if we know them (it may have been removed since), else the message's
+    const profile = allUsers.find(u => u.id === msg.sender_id) || msg;
+    renderAvatar(avatarEl, profile.avatar_color, profile.avatar_emoji, avatarUrl(msg.sender_id, profile.avatar_version), msg.sender_username);
     wrapper.appendChild(avatarEl);
   }
 
@@ -183,21 +526,36 @@ function createMessageEl(msg) {
   time.textContent = formatTime(msg.created_at);
   header.appendChild(username);
   header.appendChild(time);
-  if (msg.edited) {
-    const editedLabel = document.createElement('span');
-    editedLabel.className = 'edited-label';
-    editedLabel.textContent = '(edited)';
-    header.appendChild(editedLabel);
-  }
+  if (msg.edited && !msg.deleted) header.appendChild(createEditedLabel(msg.id, msg.sender_id));
   content.appendChild(header);
 
-  // Image (if message has one)
-  if (msg.image_data) {
+  // Deleted: a tombstone, plus the thread summary so its replies stay reachable
+  if (msg.deleted) {
+    wrapper.classList.add('deleted');
+    content.appendChild(createTombstone());
+    if (msg.reply_count > 0) content.appendChild(createThreadSummary(msg.id, msg));
+    wrapper.appendChild(content);
+    return wrapper;
+  }
+
+  // Attachment (if message has one): files get a download card, images a
+  // small preview with the full size on click
+  if (msg.attachment && !isImageAttachment(msg.attachment)) {
+    content.appendChild(createFileCard(msg.attachment));
+  } else if (msg.attachment) {
+    const { url, thumbnail_url, width, height, filename } = msg.attachment;
     const img = document.createElement('img');
     img.className = 'message-image';
-    img.src = msg.image_data;
-    img.alt = 'Shared image';
-    img.onclick = () => window.open(msg.image_data, '_blank'); // Click to open full size
+    img.src = thumbnail_url || url;
+    img.alt = filename || 'Shared image';
+    img.loading = 'lazy';
+    if (width && height) {
+      // Hold its space while loading, so the chat doesn't jump
+      const scale = Math.min(1, MESSAGE_IMAGE_SIZE / width, MESSAGE_IMAGE_SIZE / height);
+      img.width = Math.round(width * scale);
+      img.height = Math.round(height * scale);
+    }
+    img.onclick = () => openImageViewer(url, img.alt);
     content.appendChild(img);
   }
 
@@ -218,7 +576,10 @@ function createMessageEl(msg) {
     content.appendChild(bar);
   }
 
-  // Action buttons (react, edit, delete) — appear on hover
+  // Thread summary (only top-level messages have replies)
+  if (msg.reply_count > 0) content.appendChild(createThreadSummary(msg.id, msg));
+
+  // Action buttons (react, reply, edit, delete) — appear on hover
   const actions = document.createElement('div');
   actions.className = 'message-actions';
 
@@ -229,6 +590,15 @@ function createMessageEl(msg) {
   reactBtn.onclick = (e) => { e.stopPropagation(); openReactionPicker(msg.id, reactBtn); };
   actions.appendChild(reactBtn);
 
+  if (!msg.parent_id) {
+    const replyBtn = document.createElement('button');
+    replyBtn.className = 'action-btn';
+    replyBtn.textContent = '💬';
+    replyBtn.title = 'Reply in thread';
+    replyBtn.onclick = () => openThread(msg.id);
+    actions.appendChild(replyBtn);
+  }
+
   if (isMe) {
     // Edit button (only for text messages you sent)
     if (msg.content) {
@@ -246,13 +616,13 @@ function createMessageEl(msg) {
     delBtn.title = 'Delete';
     delBtn.onclick = () => deleteMessage(msg.id);
     actions.appendChild(delBtn);
-  } else if (amIAdmin) {
-    // Admins can delete anyone's message
+  } else if (canInRoom('message.delete_any')) {
+    // Moderators can delete anyone's message
     const delBtn = document.createElement('button');
     delBtn.className = 'action-btn';
     delBtn.textContent = '🗑️';
     delBtn.title = 'Delete (admin)';
-    delBtn.onclick = () => deleteMessage(msg.id);
+    delBtn.onclick = () => moderateDelete(msg.id);
     actions.appendChild(delBtn);
   }
 
@@ -261,6 +631,38 @@ function createMessageEl(msg) {
   return wrapper;
 }
 
+function createTombstone() {
+  const bubble = document.createElement('div');
+  bubble.className = 'message-bubble tombstone';
+  bubble.textContent = 'This message was deleted';
+  return bubble;
+}
+
+// "👤👤 3 replies  Last reply 10:42" — click to open the thread
+function createThreadSummary(messageId, { reply_count, last_reply_at, reply_user_ids }) {
+  const btn = document.createElement('button');
+  btn.className = 'thread-summary' + (unreadThreads.has(messageId) ? ' unread' : '');
+  btn.dataset.id = messageId;
+  for (const uid of reply_user_ids || []) {
+    const user = allUsers.find(u => u.id === uid);
+    const avatar = document.createElement('div');
+    avatar.className = 'thread-avatar';
+    renderAvatar(avatar, user?.avatar_color, user?.avatar_emoji, avatarUrl(uid, user?.avatar_version), user?.username);
+    btn.appendChild(avatar);
+  }
+  const count = document.createElement('span');
+  count.textContent = `${reply_count} ${reply_count === 1 ? 'reply' : 'replies'}`;
+  btn.appendChild(count);
+  if (last_reply_at) {
+    const time = document.createElement('span');
+    time.className = 'thread-summary-time';
+    time.textContent = `Last reply ${formatTime(last_reply_at)}`;
+    btn.appendChild(time);
+  }
+  btn.onclick = () => openThread(messageId);
+  return btn;
+}
+
 function createDivider(label) {
   const div = document.createElement('div');
   div.className = 'day-divider';
@@ -268,6 +670,12 @@ function createDivider(label) {
   return div;
 }
 
+function createNewMessagesDivider() {
+  const div = createDivider('New messages');
+  div.classList.add('new-divider');
+  return div;
+}
+
 function showSystemMessage(text) {
   const p = document.createElement('p');
   p.className = 'messages-placeholder';
@@ -279,16 +687,83 @@ function showSystemMessage(text) {
 function sendMessage() {
   const input = document.getElementById('message-input');
   const content = input.value.trim();
-  if (!content && !pendingImage) return;
+  if (!content && !pendingAttachment) return;
 
-  socket.emit('send_message', { room: currentRoom, content, imageData: pendingImage });
+  if (viewingContext) jumpToLatest(); // your own message should land in view
+  socket.emit('send_message', { room: currentRoom, content, attachmentId: pendingAttachment?.id });
+  lastSent = { inputId: 'message-input', content };
   input.value = '';
-  clearPendingImage();
+  clearPendingAttachment();
+  lastTypingSentAt = 0; // the server clears our typing state when the message lands
+  clearTimeout(typingIdleTimer);
   input.focus();
 }
 
 document.getElementById('message-input').addEventListener('keydown', (e) => {
-  if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); sendMessage(); }
+  if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); sendMessage(); return; }
+  if (e.key.length === 1 || e.key === 'Backspace') noteTyping();
+});
+
+// ── Typing indicator ──────────────────────────────────────────────────────────
+// Throttled: one typing_start per TYPING_REFRESH_MS, typing_stop once idle
+function noteTyping() {
+  const now = Date.now();
+  if (now - lastTypingSentAt > TYPING_REFRESH_MS) {
+    socket.emit('typing_start', currentRoom);
+    lastTypingSentAt = now;
+  }
+  clearTimeout(typingIdleTimer);
+  typingIdleTimer = setTimeout(stopTypingSignal, TYPING_IDLE_MS);
+}
+
+function stopTypingSignal() {
+  clearTimeout(typingIdleTimer);
+  if (!lastTypingSentAt) return;
+  socket.emit('typing_stop', currentRoom);
+  lastTypingSentAt = 0;
+}
+
+function renderTypingIndicator() {
+  const names = [...(typingUsers.get(currentRoom)?.values() || [])].map(u => u.username);
+  let text = '';
+  if (names.length === 1) text = `${names[0]} is typing…`;
+  else if (names.length === 2) text = `${names[0]} and ${names[1]} are typing…`;
+  else if (names.length === 3) text = `${names[0]}, ${names[1]} and ${names[2]} are typing…`;
+  else if (names.length > 3) text = `${names[0]}, ${names[1]} and ${names.length - 2} others are typing…`;
+  document.getElementById('typing-indicator').textContent = text;
+}
+
+// ── Thread panel ──────────────────────────────────────────────────────────────
+function openThread(messageId) {
+  openThreadId = messageId;
+  unreadThreads.delete(messageId);
+  document.querySelector(`.thread-summary[data-id="${messageId}"]`)?.classList.remove('unread');
+  document.getElementById('thread-messages').innerHTML = '<p class="messages-placeholder">Loading thread...</p>';
+  document.getElementById('thread-panel').classList.remove('hidden');
+  document.querySelector('.chat-layout').classList.add('thread-open');
+  socket.emit('open_thread', messageId);
+  document.getElementById('thread-input').focus();
+}
+
+function closeThread() {
+  openThreadId = null;
+  document.getElementById('thread-panel').classList.add('hidden');
+  document.querySelector('.chat-layout').classList.remove('thread-open');
+  socket.emit('close_thread');
+}
+
+function sendThreadReply() {
+  const input = document.getElementById('thread-input');
+  const content = input.value.trim();
+  if (!content || !openThreadId) return;
+  socket.emit('send_message', { room: currentRoom, content, parentId: openThreadId });
+  lastSent = { inputId: 'thread-input', content };
+  input.value = '';
+  input.focus();
+}
+
+document.getElementById('thread-input').addEventListener('keydown', (e) => {
+  if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); sendThreadReply(); }
 });
 
 // Handle pasting an image from clipboard (e.g. Ctrl+V a screenshot)
@@ -298,19 +773,46 @@ document.getElementById('message-input').addEventListener('paste', (e) => {
   for (const item of items) {
     if (item.type.startsWith('image/')) {
       e.preventDefault();
-      compressImage(item.getAsFile(), setPendingImage);
+      compressImage(item.getAsFile(), image => uploadPendingAttachment(image, 'image.jpg'));
     }
   }
 });
 
-// Handle picking a file with the 📎 button
+// Handle picking a file with the 📎 button. Photos are shrunk first; anything
+// else (GIFs too, which would lose their animation) goes up as it is.
+const COMPRESSIBLE_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
 function handleFileSelect(e) {
   const file = e.target.files[0];
-  if (file) compressImage(file, setPendingImage);
+  if (file && COMPRESSIBLE_TYPES.includes(file.type)) compressImage(file, image => uploadPendingAttachment(image, file.name));
+  else if (file) uploadPendingAttachment(file, file.name);
   e.target.value = ''; // Reset so same file can be picked again
 }
 
-// Compress an image file and call the callback with base64 data URL
+// Send a file to the server; resolves to the attachment ({ id, url, ... }) or null
+async function uploadAttachment(blob, filename) {
+  const form = new FormData();
+  form.append('file', blob, filename);
+  try {
+    const res = await authFetch('/api/attachments', { method: 'POST', body: form });
+    const data = await res.json();
+    if (res.ok) return data;
+    alert(data.error || 'Upload failed.');
+  } catch { alert('Could not connect to server.'); }
+  return null;
+}
+
+// Files are uploaded as soon as they're picked, so sending is instant
+async function uploadPendingAttachment(blob, filename) {
+  const status = document.getElementById('attachment-preview-status');
+  status.textContent = `Uploading ${filename}…`;
+  document.getElementById('attachment-preview-area').classList.remove('hidden');
+  const attachment = await uploadAttachment(blob, filename);
+  status.textContent = '';
+  if (attachment) setPendingAttachment(attachment);
+  else if (!pendingAttachment) clearPendingAttachment();
+}
+
+// Compress an image file and call the callback with a JPEG blob
 function compressImage(file, callback) {
   const reader = new FileReader();
   reader.onload = (e) => {
@@ -322,25 +824,92 @@ function compressImage(file, callback) {
       canvas.width = img.width * scale;
       canvas.height = img.height * scale;
       canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
-      callback(canvas.toDataURL('image/jpeg', 0.75)); // 75% quality JPEG
+      canvas.toBlob(callback, 'image/jpeg', 0.75); // 75% quality JPEG
     };
     img.src = e.target.result;
   };
   reader.readAsDataURL(file);
 }
 
-function setPendingImage(dataUrl) {
-  pendingImage = dataUrl;
-  document.getElementById('image-preview').src = dataUrl;
-  document.getElementById('image-preview-area').classList.remove('hidden');
+function setPendingAttachment(attachment) {
+  pendingAttachment = attachment;
+  const isImage = isImageAttachment(attachment);
+  const img = document.getElementById('attachment-preview-image');
+  img.src = isImage ? attachment.thumbnail_url || attachment.url : '';
+  img.classList.toggle('hidden', !isImage);
+  document.getElementById('attachment-preview-file').replaceChildren(...(isImage ? [] : [createFileCard(attachment)]));
+  document.getElementById('attachment-preview-area').classList.remove('hidden');
+}
+
+function clearPendingAttachment() {
+  pendingAttachment = null;
+  document.getElementById('attachment-preview-area').classList.add('hidden');
+  document.getElementById('attachment-preview-image').src = '';
+  document.getElementById('attachment-preview-file').replaceChildren();
+}
+
+// ── File cards ────────────────────────────────────────────────────────────────
+// Attachments that aren't images show as a download card: icon, name and size
+
+const FILE_ICONS = {
+  pdf: '📕', txt: '📄', log: '📄', md: '📄', json: '📄', xml: '📄', yaml: '📄', yml: '📄', csv: '📊', tsv: '📊',
+  zip: '🗜️', gz: '🗜️', tgz: '🗜️', tar: '🗜️', bz2: '🗜️', xz: '🗜️', '7z': '🗜️', rar: '🗜️'
+};
+
+function isImageAttachment(attachment) {
+  return attachment.content_type.startsWith('image/');
 }
 
-function clearPendingImage() {
-  pendingImage = null;
-  document.getElementById('image-preview-area').classList.add('hidden');
-  document.getElementById('image-preview').src = '';
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
 }
 
+function createFileCard({ url, filename, size }) {
+  const card = document.createElement('a');
+  card.className = 'file-card';
+  card.href = url;
+  card.download = filename; // the server sends it as a download too
+  card.title = `Download ${filename}`;
+
+  const icon = document.createElement('span');
+  icon.className = 'file-card-icon';
+  icon.textContent = FILE_ICONS[filename.split('.').pop().toLowerCase()] || '📎';
+  const name = document.createElement('span');
+  name.className = 'file-card-name';
+  name.textContent = filename;
+  const meta = document.createElement('span');
+  meta.className = 'file-card-size';
+  meta.textContent = formatFileSize(size);
+  const info = document.createElement('span');
+  info.className = 'file-card-info';
+  info.append(name, meta);
+
+  card.append(icon, info);
+  return card;
+}
+
+// ── Image viewer ──────────────────────────────────────────────────────────────
+// Messages show thumbnails; clicking one loads the full-size image here
+
+function openImageViewer(url, alt) {
+  const img = document.getElementById('image-viewer-img');
+  img.src = url;
+  img.alt = alt;
+  document.getElementById('image-viewer-open').href = url;
+  document.getElementById('image-viewer').classList.remove('hidden');
+}
+
+function closeImageViewer() {
+  document.getElementById('image-viewer').classList.add('hidden');
+  document.getElementById('image-viewer-img').src = '';
+}
+
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && !document.getElementById('image-viewer').classList.contains('hidden')) closeImageViewer();
+});
+
 // ── Edit & delete ─────────────────────────────────────────────────────────────
 
 function startEdit(messageId, currentContent) {
@@ -377,6 +946,13 @@ function deleteMessage(messageId) {
   socket.emit('delete_message', { messageId });
 }
 
+// Deleting someone else's message is a moderation action: ask why, for the audit log
+function moderateDelete(messageId) {
+  const reason = prompt('Delete this message? Reason (optional, saved in the audit log):');
+  if (reason === null) return;
+  socket.emit('delete_message', { messageId, reason });
+}
+
 // ── Reactions ─────────────────────────────────────────────────────────────────
 
 function openReactionPicker(messageId, anchorEl) {
@@ -419,6 +995,7 @@ function renderReactionsBar(bar, messageId, reactions) {
 // ── Sound ─────────────────────────────────────────────────────────────────────
 // We generate the sound with the Web Audio API — no audio files needed!
 function playNotificationSound() {
+  if (myStatus === 'dnd') return;
   try {
     const ctx = new AudioContext();
     const osc = ctx.createOscillator();
@@ -458,42 +1035,358 @@ function toggleSearch() {
 }
 
 function closeSearch() {
+  clearTimeout(searchTimer);
   document.getElementById('search-bar').classList.add('hidden');
   document.getElementById('search-input').value = '';
-  // Show all messages again
-  document.querySelectorAll('.message').forEach(m => m.classList.remove('search-hidden'));
+  document.getElementById('search-results').classList.add('hidden');
 }
 
+// Searches every room on the server, once the user pauses typing
 function searchMessages(query) {
-  const q = query.toLowerCase().trim();
-  document.querySelectorAll('.message').forEach(msg => {
-    const bubble = msg.querySelector('.message-bubble');
-    const text = bubble?.textContent?.toLowerCase() || '';
-    msg.classList.toggle('search-hidden', q !== '' && !text.includes(q));
+  clearTimeout(searchTimer);
+  if (!query.trim()) { document.getElementById('search-results').classList.add('hidden'); return; }
+  searchTimer = setTimeout(() => runSearch(query.trim()), 300);
+}
+
+async function runSearch(query) {
+  try {
+    const res = await authFetch(`/api/search?q=${encodeURIComponent(query)}`);
+    const data = await res.json();
+    if (document.getElementById('search-input').value.trim() !== query) return; // user kept typing
+    renderSearchResults(res.ok ? data : []);
+  } catch { /* keep the previous results */ }
+}
+
+function renderSearchResults(results) {
+  const panel = document.getElementById('search-results');
+  panel.innerHTML = '';
+  panel.classList.remove('hidden');
+  if (results.length === 0) {
+    panel.innerHTML = '<p class="messages-placeholder">No messages found.</p>';
+    return;
+  }
+  for (const result of results) {
+    const item = document.createElement('button');
+    item.className = 'search-result';
+    const meta = document.createElement('div');
+    meta.className = 'search-result-meta';
+    meta.textContent = `${roomLabel(result.room)} · ${result.sender_username} · ${formatDate(result.created_at)} ${formatTime(result.created_at)}`;
+    const text = document.createElement('div');
+    text.className = 'search-result-text';
+    renderSnippet(text, result.snippet || (result.has_image ? '📷 Image' : result.has_file ? '📎 File' : ''));
+    item.appendChild(meta);
+    item.appendChild(text);
+    item.onclick = () => jumpToMessage(result.room, result.id, result.parent_id);
+    panel.appendChild(item);
+  }
+}
+
+// The server wraps matched words in \x02…\x03; build <mark>s from that without innerHTML
+function renderSnippet(el, snippet) {
+  snippet.split(/[\x02\x03]/).forEach((part, i) => {
+    if (i % 2 === 0) { el.appendChild(document.createTextNode(part)); return; }
+    const mark = document.createElement('mark');
+    mark.textContent = part;
+    el.appendChild(mark);
   });
 }
 
+// Open a message's room with the history centred on it.
+// For a thread reply, centre on its parent and open the thread too.
+function jumpToMessage(room, messageId, parentId) {
+  closeSearch();
+  const target = parentId || messageId;
+  if (room === currentRoom) socket.emit('get_messages', { room, around: target });
+  else openRoom(room, roomLabel(room), target);
+  if (parentId) openThread(parentId);
+}
+
+function jumpToLatest() {
+  socket.emit('get_messages', currentRoom);
+}
+
 // ── Room switching ────────────────────────────────────────────────────────────
-function openRoom(room, displayName) {
+// aroundMessageId (optional) opens the history at that message instead of the latest
+function openRoom(room, displayName, aroundMessageId) {
   if (room === currentRoom) { closeSidebar(); return; }
+  stopTypingSignal();
   currentRoom = room;
+  renderTypingIndicator();
   closeSearch();
+  if (openThreadId) closeThread();
   document.getElementById('chat-title').textContent = displayName;
   document.getElementById('message-input').placeholder = `Message ${displayName}`;
   document.querySelectorAll('.room-btn, .dm-btn').forEach(b => b.classList.remove('active'));
   document.getElementById(`room-${room}`)?.classList.add('active');
+  updateChannelActions();
   clearUnread(room);
+  oldestMessageId = null;
+  newestMessageId = null;
+  hasMoreHistory = false;
+  loadingHistory = false;
+  viewingContext = false;
+  document.getElementById('jump-latest').classList.add('hidden');
   document.getElementById('messages-area').innerHTML = '<p class="messages-placeholder">Loading messages...</p>';
   socket.emit('join_room', room);
-  socket.emit('get_messages', room);
+  socket.emit('get_messages', aroundMessageId ? { room, around: aroundMessageId } : room);
   closeSidebar();
 }
 
+// "# channel" / "🔒 channel" / "@ username", for titles and search results
+function roomLabel(room) {
+  if (room.startsWith('dm:')) {
+    const [, id1, id2] = room.split(':').map(Number);
+    const other = allUsers.find(u => u.id === (id1 === myId ? id2 : id1));
+    return `@ ${other?.username || 'unknown'}`;
+  }
+  const channel = channels.find(c => c.slug === room);
+  return channel ? channelLabel(channel) : `# ${room}`;
+}
+
 function openDm(otherUser) {
   const dmRoom = `dm:${Math.min(myId, otherUser.id)}:${Math.max(myId, otherUser.id)}`;
   openRoom(dmRoom, `@ ${otherUser.username}`);
 }
 
+// ── Channel list ──────────────────────────────────────────────────────────────
+function renderChannelList() {
+  const list = document.getElementById('channel-list');
+  list.innerHTML = '';
+  for (const channel of channels) {
+    const btn = document.createElement('button');
+    btn.className = 'room-btn' + (channel.slug === currentRoom ? ' active' : '') + (channel.is_member ? '' : ' not-joined');
+    btn.id = `room-${channel.slug}`;
+    btn.textContent = channelLabel(channel);
+    if (!channel.is_member) btn.title = 'Click to join';
+    btn.onclick = () => openRoom(channel.slug, channelLabel(channel));
+    list.appendChild(btn);
+    renderUnreadBadge(channel.slug);
+  }
+  updateChannelActions();
+}
+
+function channelLabel(channel) {
+  return `${channel.is_private ? '🔒' : '#'} ${channel.name}`;
+}
+
+// Rename/archive are for channel owners (or an admin); #general can't be left or archived
+function updateChannelActions() {
+  const channel = channels.find(c => c.slug === currentRoom);
+  const canManage = !!channel && canInRoom('room.manage');
+  document.getElementById('members-btn').classList.toggle('hidden', !channel);
+  document.getElementById('rename-channel-btn').classList.toggle('hidden', !canManage);
+  document.getElementById('archive-channel-btn').classList.toggle('hidden', !canManage || currentRoom === DEFAULT_ROOM);
+  document.getElementById('leave-channel-btn').classList.toggle('hidden', !channel?.is_member || currentRoom === DEFAULT_ROOM);
+  document.getElementById('clear-btn').classList.toggle('hidden', !canInRoom('room.clear'));
+  document.getElementById('slow-mode-btn').classList.toggle('hidden', !canManage);
+  const badge = document.getElementById('slow-mode-badge');
+  badge.classList.toggle('hidden', !channel?.slow_mode_seconds);
+  if (channel?.slow_mode_seconds) badge.textContent = `🐢 ${formatDuration(channel.slow_mode_seconds)}`;
+}
+
+async function setSlowMode() {
+  const channel = channels.find(c => c.slug === currentRoom);
+  if (!channel) return;
+  const answer = prompt('Slow mode: seconds each person must wait between messages (0 = off):', channel.slow_mode_seconds || 30);
+  if (answer === null) return;
+  const res = await authFetch(`/api/rooms/${encodeURIComponent(channel.slug)}/slow-mode`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ seconds: Number(answer) })
+  });
+  if (!res.ok) alert((await res.json()).error);
+}
+
+// ── Rate limits ───────────────────────────────────────────────────────────────
+let lastSent = null;     // { inputId, content } — put back if the server throttles it
+let rateLimitTimer = null;
+
+socket.on('rate_limited', ({ event, retryAfter, slowMode }) => {
+  if (event === 'send_message' && lastSent) {
+    const input = document.getElementById(lastSent.inputId);
+    if (!input.value) input.value = lastSent.content;
+  }
+  const notice = document.getElementById('rate-limit-notice');
+  notice.textContent = slowMode
+    ? `Slow mode is on — you can send another message in ${formatDuration(retryAfter)}.`
+    : `You're doing that too fast. Try again in ${formatDuration(retryAfter)}.`;
+  notice.classList.remove('hidden');
+  clearTimeout(rateLimitTimer);
+  rateLimitTimer = setTimeout(() => notice.classList.add('hidden'), retryAfter * 1000);
+});
+
+// 45 -> "45s", 90 -> "1m 30s", 3600 -> "1h"
+function formatDuration(seconds) {
+  const h = Math.floor(seconds / 3600), m = Math.floor(seconds % 3600 / 60), s = seconds % 60;
+  return [h && `${h}h`, m && `${m}m`, s && `${s}s`].filter(Boolean).join(' ') || '0s';
+}
+
+// ── Permissions ───────────────────────────────────────────────────────────────
+function applyPermissions({ role, permissions, roleRank: rank, roomRoles }) {
+  myRole = role;
+  myPermissions = new Set(permissions);
+  roleRank = rank;
+  roomRolePermissions = roomRoles;
+  document.getElementById('deleted-btn').classList.toggle('hidden', !can('message.restore'));
+  document.getElementById('audit-btn').classList.toggle('hidden', !can('audit.view'));
+  document.getElementById('lockouts-btn').classList.toggle('hidden', !can('user.unlock'));
+  document.getElementById('invites-btn').classList.toggle('hidden', !can('invite.manage'));
+  document.getElementById('file-types-btn').classList.toggle('hidden', !can('settings.manage'));
+  updateChannelActions();
+}
+
+function can(permission) {
+  return myPermissions.has(permission);
+}
+
+// Site-wide, or through my role in that channel
+function canInRoom(permission, room = currentRoom) {
+  if (can(permission)) return true;
+  const channel = channels.find(c => c.slug === room);
+  return !!roomRolePermissions[channel?.role]?.includes(permission);
+}
+
+// Bans and role changes only work on people ranked below me
+function outranks(role, otherRole) {
+  return roleRank.indexOf(role) > roleRank.indexOf(otherRole);
+}
+
+async function createChannel() {
+  const name = prompt('New channel name (lowercase letters, numbers, dashes):');
+  if (!name?.trim()) return;
+  const isPrivate = confirm('Make this channel private? Only people you invite will be able to see it.');
+  try {
+    const res = await authFetch('/api/rooms', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, isPrivate })
+    });
+    const data = await res.json();
+    if (!res.ok) { alert(data.error); return; }
+    openRoom(data.slug, channelLabel(data));
+  } catch { alert('Could not connect to server.'); }
+}
+
+async function renameChannel() {
+  const channel = channels.find(c => c.slug === currentRoom);
+  if (!channel) return;
+  const name = prompt('Rename channel:', channel.name);
+  if (!name?.trim() || name.trim() === channel.name) return;
+  try {
+    const res = await authFetch(`/api/rooms/${encodeURIComponent(channel.slug)}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name })
+    });
+    if (!res.ok) alert((await res.json()).error);
+  } catch { alert('Could not connect to server.'); }
+}
+
+async function archiveChannel() {
+  const channel = channels.find(c => c.slug === currentRoom);
+  if (!channel || !confirm(`Archive ${channelLabel(channel)}? It will disappear for everyone.`)) return;
+  const res = await authFetch(`/api/rooms/${encodeURIComponent(channel.slug)}/archive`, { method: 'POST' });
+  if (!res.ok) alert('Failed to archive channel.');
+}
+
+function leaveChannel() {
+  const channel = channels.find(c => c.slug === currentRoom);
+  if (!channel) return;
+  const warning = channel.is_private ? ' You will need a new invite to get back in.' : '';
+  if (!confirm(`Leave ${channelLabel(channel)}?${warning}`)) return;
+  socket.emit('leave_room', channel.slug);
+  openRoom(DEFAULT_ROOM, `# ${DEFAULT_ROOM}`);
+}
+
+// ── Channel members modal ─────────────────────────────────────────────────────
+async function openMembersModal() {
+  const channel = channels.find(c => c.slug === currentRoom);
+  if (!channel) return;
+  const canManage = canInRoom('room.manage', channel.slug);
+  document.getElementById('members-modal-title').textContent = `Members of ${channelLabel(channel)}`;
+  document.getElementById('invite-row').classList.toggle('hidden', !canManage);
+  document.getElementById('invite-input').value = '';
+  document.getElementById('members-modal').classList.remove('hidden');
+  document.getElementById('members-modal-backdrop').classList.remove('hidden');
+  await loadMembers();
+}
+
+function closeMembersModal() {
+  document.getElementById('members-modal').classList.add('hidden');
+  document.getElementById('members-modal-backdrop').classList.add('hidden');
+}
+
+async function loadMembers() {
+  const channel = channels.find(c => c.slug === currentRoom);
+  const list = document.getElementById('member-list');
+  if (!channel) return;
+  const res = await authFetch(`/api/rooms/${encodeURIComponent(channel.slug)}/members`);
+  if (!res.ok) { list.textContent = 'Could not load members.'; return; }
+  const members = await res.json();
+  const canManage = canInRoom('room.manage', channel.slug);
+  list.innerHTML = '';
+  for (const member of members) {
+    const row = document.createElement('div');
+    row.className = 'member-row';
+    const name = document.createElement('span');
+    name.textContent = member.username;
+    row.appendChild(name);
+    if (canManage && member.id !== myId) {
+      // Channel role picker
+      const role = document.createElement('select');
+      role.className = 'member-role-select';
+      for (const option of Object.keys(roomRolePermissions)) role.add(new Option(option, option, false, option === member.role));
+      role.onchange = () => setMemberRole(member.id, role.value);
+      row.appendChild(role);
+    } else if (member.role !== 'member') {
+      const role = document.createElement('span');
+      role.className = 'member-role';
+      role.textContent = member.role;
+      row.appendChild(role);
+    }
+    if (canManage && member.role !== 'owner' && member.id !== myId && channel.slug !== DEFAULT_ROOM) {
+      const kickBtn = document.createElement('button');
+      kickBtn.className = 'ban-btn';
+      kickBtn.title = 'Remove from channel';
+      kickBtn.textContent = '✕';
+      kickBtn.onclick = () => kickMember(member.id, member.username);
+      row.appendChild(kickBtn);
+    }
+    list.appendChild(row);
+  }
+}
+
+async function inviteMember() {
+  const input = document.getElementById('invite-input');
+  const username = input.value.trim();
+  if (!username) return;
+  const res = await authFetch(`/api/rooms/${encodeURIComponent(currentRoom)}/members`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username })
+  });
+  if (!res.ok) { alert((await res.json()).error); return; }
+  input.value = '';
+  await loadMembers();
+}
+
+async function kickMember(userId, username) {
+  if (!confirm(`Remove ${username} from this channel?`)) return;
+  const res = await authFetch(`/api/rooms/${encodeURIComponent(currentRoom)}/members/${userId}`, { method: 'DELETE' });
+  if (!res.ok) { alert((await res.json()).error); return; }
+  await loadMembers();
+}
+
+async function setMemberRole(userId, role) {
+  const res = await authFetch(`/api/rooms/${encodeURIComponent(currentRoom)}/members/${userId}/role`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ role })
+  });
+  if (!res.ok) alert((await res.json()).error);
+  await loadMembers();
+}
+
 // ── DM list ───────────────────────────────────────────────────────────────────
 function renderDmList(users) {
   const list = document.getElementById('dm-list');
@@ -510,74 +1403,612 @@ function renderDmList(users) {
     mini.className = 'dm-mini-avatar';
     mini.dataset.uid = user.id;
     mini.style.cssText = 'width:20px;height:20px;border-radius:50%;display:flex;align-items:center;justify-content:center;font-size:0.6rem;font-weight:700;color:white;flex-shrink:0;overflow:hidden;';
-    renderAvatar(mini, user.avatar_color, user.avatar_emoji, user.avatar_image, user.username);
+    renderAvatar(mini, user.avatar_color, user.avatar_emoji, avatarUrl(user.id, user.avatar_version), user.username);
 
     const dot = document.createElement('span');
     dot.className = 'status-dot';
     dot.dataset.uid = user.id;
 
+    // Username with the custom status / "Last seen …" underneath
     const name = document.createElement('span');
-    name.textContent = user.username;
+    name.className = 'dm-name';
+    const nameText = document.createElement('span');
+    nameText.textContent = user.username;
+    const sub = document.createElement('small');
+    sub.className = 'dm-sub';
+    sub.dataset.uid = user.id;
+    name.appendChild(nameText);
+    name.appendChild(sub);
 
     btn.appendChild(mini);
     btn.appendChild(dot);
     btn.appendChild(name);
 
-    if (user.is_admin) {
-      const crown = document.createElement('span');
-      crown.className = 'admin-crown';
-      crown.textContent = '👑';
-      btn.appendChild(crown);
+    if (user.role !== 'member') {
+      const badge = document.createElement('span');
+      badge.className = 'admin-crown';
+      badge.textContent = user.role === 'moderator' ? '🛡️' : '👑';
+      badge.title = user.role;
+      btn.appendChild(badge);
+    }
+
+    if (can('role.assign') && outranks(myRole, user.role)) {
+      const roleBtn = document.createElement('button');
+      roleBtn.className = 'ban-btn';
+      roleBtn.title = `Change role (${user.role})`;
+      roleBtn.textContent = '⚙️';
+      roleBtn.onclick = (e) => { e.stopPropagation(); changeRole(user); };
+      btn.appendChild(roleBtn);
     }
 
-    if (amIAdmin && !user.is_admin) {
+    if (can('user.reset_password') && outranks(myRole, user.role)) {
+      const resetBtn = document.createElement('button');
+      resetBtn.className = 'ban-btn';
+      resetBtn.title = 'Issue password reset code';
+      resetBtn.textContent = '🔑';
+      resetBtn.onclick = (e) => { e.stopPropagation(); issueResetCode(user); };
+      btn.appendChild(resetBtn);
+    }
+
+    if (can('user.mute') && outranks(myRole, user.role)) {
+      const muteBtn = document.createElement('button');
+      muteBtn.className = 'ban-btn' + (user.is_muted ? ' banned' : '');
+      muteBtn.title = user.is_muted ? `Unmute${sanctionEnd(user.muted_until)}` : 'Mute';
+      muteBtn.textContent = user.is_muted ? '🔊' : '🔇';
+      muteBtn.onclick = (e) => { e.stopPropagation(); toggleSanction('mute', user, user.is_muted); };
+      btn.appendChild(muteBtn);
+    }
+
+    if (can('user.ban') && outranks(myRole, user.role)) {
       const banBtn = document.createElement('button');
       banBtn.className = 'ban-btn' + (user.is_banned ? ' banned' : '');
-      banBtn.title = user.is_banned ? 'Unban' : 'Ban';
+      banBtn.title = user.is_banned ? `Unban${sanctionEnd(user.banned_until)}` : 'Ban';
       banBtn.textContent = user.is_banned ? '✓' : '🚫';
-      banBtn.onclick = (e) => { e.stopPropagation(); toggleBan(user.id, user.username, user.is_banned); };
+      banBtn.onclick = (e) => { e.stopPropagation(); toggleSanction('ban', user, user.is_banned); };
       btn.appendChild(banBtn);
     }
 
     list.appendChild(btn);
+    renderUnreadBadge(dmRoom);
+    renderPresence(user);
   }
 }
 
+// ── Presence ──────────────────────────────────────────────────────────────────
+const STATUS_LABELS = { online: 'Online', away: 'Away', dnd: 'Do not disturb', invisible: 'Invisible' };
+const IDLE_AFTER_MS = 5 * 60 * 1000; // no mouse/keyboard for this long = away
+let isIdle = false;
+let idleTimer = null;
+let lastActivityAt = 0;
+
+function renderPresence(user) {
+  const dot = document.querySelector(`.status-dot[data-uid="${user.id}"]`);
+  if (dot) dot.className = `status-dot ${user.presence || 'offline'}`;
+  const sub = document.querySelector(`.dm-sub[data-uid="${user.id}"]`);
+  if (sub) sub.textContent = presenceSubtitle(user);
+}
+
+function presenceSubtitle(user) {
+  if (user.status_text) return user.status_text;
+  if (user.presence === 'dnd') return 'Do not disturb';
+  if (user.presence === 'offline' && user.last_seen) return `Last seen ${formatLastSeen(user.last_seen)}`;
+  return '';
+}
+
+function formatLastSeen(ts) {
+  const minutes = Math.floor((Date.now() - new Date(ts)) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+  const day = formatDate(ts);
+  return day === 'Yesterday' ? 'yesterday' : `on ${day}`;
+}
+
+// Keep "Last seen 5m ago" ticking
+setInterval(() => allUsers.forEach(renderPresence), 60_000);
+
+// Idle detection: tell the server when this tab goes quiet and when it wakes up
+function noteActivity() {
+  if (isIdle) { isIdle = false; socket.emit('set_idle', false); }
+  const now = Date.now();
+  if (now - lastActivityAt < 1000) return; // mousemove fires constantly
+  lastActivityAt = now;
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(() => { isIdle = true; socket.emit('set_idle', true); }, IDLE_AFTER_MS);
+}
+['mousemove', 'mousedown', 'keydown', 'touchstart', 'focus'].forEach(ev =>
+  window.addEventListener(ev, noteActivity, { passive: true })
+);
+noteActivity();
+
+function openStatusModal() {
+  document.querySelectorAll('#status-options input').forEach(r => { r.checked = r.value === myStatus; });
+  const me = allUsers.find(u => u.id === myId);
+  document.getElementById('status-text-input').value = me?.status_text || '';
+  document.getElementById('status-expiry').value = '';
+  document.getElementById('status-modal').classList.remove('hidden');
+  document.getElementById('status-modal-backdrop').classList.remove('hidden');
+}
+
+function closeStatusModal() {
+  document.getElementById('status-modal').classList.add('hidden');
+  document.getElementById('status-modal-backdrop').classList.add('hidden');
+}
+
+async function saveStatus() {
+  const status = document.querySelector('#status-options input:checked')?.value || 'online';
+  const text = document.getElementById('status-text-input').value.trim();
+  const expiresInMinutes = document.getElementById('status-expiry').value || null;
+  try {
+    const res = await authFetch('/api/status', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ status, text, expiresInMinutes })
+    });
+    if (res.ok) closeStatusModal();
+    else alert((await res.json()).error);
+  } catch { alert('Could not connect to server.'); }
+}
+
 // ── Unread badges ─────────────────────────────────────────────────────────────
-function markUnread(room, senderName) {
-  unreadRooms.add(room);
+function markUnread(room) {
+  unreadCounts.set(room, (unreadCounts.get(room) || 0) + 1);
+  renderUnreadBadge(room);
+  updateTitle();
+}
+
+function clearUnread(room) {
+  unreadCounts.delete(room);
+  renderUnreadBadge(room);
+  updateTitle();
+}
+
+// Tell the server (and our other devices) we've seen the current room up to the newest message
+function markRead() {
+  if (!newestMessageId || viewingContext || document.hidden) return;
+  socket.emit('mark_read', { room: currentRoom, messageId: newestMessageId });
+  clearUnread(currentRoom);
+}
+
+function renderUnreadBadge(room) {
   const btn = document.getElementById(`room-${room}`);
   if (!btn) return;
   btn.querySelector('.unread-badge')?.remove();
+  const count = unreadCounts.get(room) || 0;
+  if (count === 0) return;
   const badge = document.createElement('span');
   badge.className = 'unread-badge';
-  badge.textContent = '!';
+  badge.textContent = count > 99 ? '99+' : count;
   btn.appendChild(badge);
-  document.title = `(!) ChatApp - ${senderName}`;
 }
 
-function clearUnread(room) {
-  unreadRooms.delete(room);
-  document.getElementById(`room-${room}`)?.querySelector('.unread-badge')?.remove();
-  document.title = 'ChatApp';
+function updateTitle() {
+  let total = 0;
+  for (const count of unreadCounts.values()) total += count;
+  document.title = total > 0 ? `(${total}) ChatApp` : 'ChatApp';
 }
 
 // ── Admin actions ─────────────────────────────────────────────────────────────
+// ── Deleted messages (admin) ──────────────────────────────────────────────────
+async function openDeletedModal() {
+  document.getElementById('deleted-modal-title').textContent = `Deleted in ${roomLabel(currentRoom)}`;
+  document.getElementById('deleted-modal').classList.remove('hidden');
+  document.getElementById('deleted-modal-backdrop').classList.remove('hidden');
+  await loadDeletedMessages();
+}
+
+function closeDeletedModal() {
+  document.getElementById('deleted-modal').classList.add('hidden');
+  document.getElementById('deleted-modal-backdrop').classList.add('hidden');
+}
+
+async function loadDeletedMessages() {
+  const list = document.getElementById('deleted-list');
+  const res = await authFetch(`/api/admin/deleted/${encodeURIComponent(currentRoom)}`);
+  if (!res.ok) { list.textContent = 'Could not load deleted messages.'; return; }
+  const messages = await res.json();
+  document.getElementById('restore-all-btn').disabled = messages.length === 0;
+  list.dataset.ids = messages.map(m => m.id).join(',');
+  list.innerHTML = '';
+  if (messages.length === 0) { list.textContent = 'Nothing to restore.'; return; }
+  for (const msg of messages) {
+    const row = document.createElement('div');
+    row.className = 'revision-row';
+    const meta = document.createElement('div');
+    meta.className = 'revision-meta';
+    const how = msg.cleared ? 'cleared' : 'deleted';
+    meta.textContent = `${msg.sender_username} · ${formatDate(msg.created_at)} ${formatTime(msg.created_at)}` +
+      ` — ${how} by ${msg.deleted_by_username || 'unknown'} ${formatDate(msg.deleted_at).toLowerCase()} ${formatTime(msg.deleted_at)}`;
+    const text = document.createElement('div');
+    text.className = 'revision-content';
+    text.textContent = msg.content || (msg.attachment ? (isImageAttachment(msg.attachment) ? '[image]' : '[file]') : '');
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'btn-secondary restore-btn';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.onclick = () => restoreMessages([msg.id]);
+    row.appendChild(meta);
+    row.appendChild(text);
+    row.appendChild(restoreBtn);
+    list.appendChild(row);
+  }
+}
+
+async function restoreMessages(ids) {
+  const res = await authFetch('/api/admin/restore', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ids })
+  });
+  if (!res.ok) { alert((await res.json()).error || 'Failed to restore.'); return; }
+  await loadDeletedMessages();
+}
+
+function restoreAllDeleted() {
+  const ids = document.getElementById('deleted-list').dataset.ids.split(',').filter(Boolean).map(Number);
+  if (ids.length && confirm(`Restore all ${ids.length} messages?`)) restoreMessages(ids);
+}
+
+// Moderation actions ask for an optional reason (Cancel = don't do it)
 async function clearChat() {
-  if (!confirm('Clear all messages in this room? This cannot be undone.')) return;
-  const res = await fetch(`/api/admin/clear/${encodeURIComponent(currentRoom)}`, {
-    method: 'DELETE', headers: { 'Authorization': `Bearer ${token}` }
+  const reason = prompt('Clear all messages in this room? Reason (optional, saved in the audit log):');
+  if (reason === null) return;
+  const res = await authFetch(`/api/admin/clear/${encodeURIComponent(currentRoom)}`, {
+    method: 'DELETE',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ reason })
   });
   if (!res.ok) alert('Failed to clear chat.');
 }
 
-async function toggleBan(userId, username, currentlyBanned) {
-  const action = currentlyBanned ? 'Unban' : 'Ban';
-  if (!confirm(`${action} ${username}?`)) return;
-  const res = await fetch(`/api/admin/ban/${userId}`, {
-    method: 'POST', headers: { 'Authorization': `Bearer ${token}` }
+// ── Bans & mutes ──────────────────────────────────────────────────────────────
+let pendingSanction = null; // { kind: 'ban' | 'mute', user } while the modal is open
+
+// Lifting just asks for a reason; imposing opens the modal for reason + duration
+async function toggleSanction(kind, user, active) {
+  if (!active) {
+    pendingSanction = { kind, user };
+    document.getElementById('sanction-modal-title').textContent = `${kind === 'ban' ? 'Ban' : 'Mute'} ${user.username}`;
+    document.getElementById('sanction-reason').value = '';
+    document.getElementById('sanction-duration').value = '1440';
+    document.getElementById('sanction-modal').classList.remove('hidden');
+    document.getElementById('sanction-modal-backdrop').classList.remove('hidden');
+    document.getElementById('sanction-reason').focus();
+    return;
+  }
+  const action = kind === 'ban' ? 'Unban' : 'Unmute';
+  const reason = prompt(`${action} ${user.username}? Reason (optional, saved in the audit log):`);
+  if (reason === null) return;
+  await sendSanction(kind, user.id, { reason });
+}
+
+function closeSanctionModal() {
+  pendingSanction = null;
+  document.getElementById('sanction-modal').classList.add('hidden');
+  document.getElementById('sanction-modal-backdrop').classList.add('hidden');
+}
+
+async function confirmSanction() {
+  if (!pendingSanction) return;
+  const { kind, user } = pendingSanction;
+  const reason = document.getElementById('sanction-reason').value.trim();
+  const durationMinutes = document.getElementById('sanction-duration').value || null;
+  if (await sendSanction(kind, user.id, { reason, durationMinutes })) closeSanctionModal();
+}
+
+async function sendSanction(kind, userId, body) {
+  const res = await authFetch(`/api/admin/${kind}/${userId}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  if (!res.ok) alert((await res.json()).error || `Failed to ${kind} user.`);
+  return res.ok;
+}
+
+// " (until Oct 3, 14:00)" for tooltips, or nothing when it's indefinite
+function sanctionEnd(until) {
+  return until ? ` (until ${formatDate(until)} ${formatTime(until)})` : '';
+}
+
+// While muted I can read but not post, reply, react or edit; the server enforces it too
+function applyMute(mute) {
+  const banner = document.getElementById('mute-banner');
+  document.querySelectorAll('#message-input, #thread-input, #file-input, .send-btn').forEach(el => { el.disabled = !!mute; });
+  banner.classList.toggle('hidden', !mute);
+  if (mute) banner.textContent = `You are muted${sanctionEnd(mute.until)}.${mute.reason ? ` Reason: ${mute.reason}` : ''}`;
+}
+
+// Only roles below my own can be handed out
+async function changeRole(user) {
+  const choices = roleRank.filter(role => outranks(myRole, role));
+  const role = prompt(`Role for ${user.username} (${choices.join(', ')}):`, user.role)?.trim().toLowerCase();
+  if (!role || role === user.role) return;
+  if (!choices.includes(role)) { alert(`Pick one of: ${choices.join(', ')}`); return; }
+  const res = await authFetch(`/api/admin/users/${user.id}/role`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ role })
+  });
+  if (!res.ok) alert((await res.json()).error || 'Failed to change role.');
+}
+
+// The code is only shown this once; the admin passes it on to the user
+async function issueResetCode(user) {
+  if (!confirm(`Issue a password reset code for ${user.username}? Any earlier code stops working.`)) return;
+  const res = await authFetch(`/api/admin/users/${user.id}/reset-code`, { method: 'POST' });
+  const data = await res.json();
+  if (!res.ok) { alert(data.error || 'Failed to issue a reset code.'); return; }
+  prompt(`Reset code for ${user.username}, valid until ${formatDate(data.expiresAt)} ${formatTime(data.expiresAt)}. ` +
+    'They enter it under "Forgot your password?" on the login page:', data.code);
+}
+
+// ── Locked logins (moderators) ────────────────────────────────────────────────
+// Keys are "user:<username>" or "ip:<address>"
+function lockoutLabel(key) {
+  return key.startsWith('ip:') ? `IP ${key.slice(3)}` : `login ${key.slice(key.indexOf(':') + 1)}`;
+}
+
+function openLockoutsModal() {
+  document.getElementById('lockouts-modal').classList.remove('hidden');
+  document.getElementById('lockouts-modal-backdrop').classList.remove('hidden');
+  loadLockouts();
+}
+
+function closeLockoutsModal() {
+  document.getElementById('lockouts-modal').classList.add('hidden');
+  document.getElementById('lockouts-modal-backdrop').classList.add('hidden');
+}
+
+async function loadLockouts() {
+  const list = document.getElementById('lockouts-list');
+  const res = await authFetch('/api/admin/lockouts');
+  if (!res.ok) { list.textContent = 'Could not load locked logins.'; return; }
+  const lockouts = await res.json();
+  list.innerHTML = '';
+  if (lockouts.length === 0) { list.textContent = 'Nothing is locked.'; return; }
+  for (const lockout of lockouts) {
+    const row = document.createElement('div');
+    row.className = 'revision-row';
+    const name = document.createElement('div');
+    name.className = 'revision-content';
+    name.textContent = lockout.type === 'ip' ? `IP ${lockout.name}` : `${lockout.name}${lockout.user_id ? '' : ' (no such account)'}`;
+    const meta = document.createElement('div');
+    meta.className = 'revision-meta';
+    meta.textContent = `${lockout.failures} failed attempt${lockout.failures === 1 ? '' : 's'} · locked until ${formatTime(lockout.locked_until)}`;
+    const unlockBtn = document.createElement('button');
+    unlockBtn.className = 'btn-secondary restore-btn';
+    unlockBtn.textContent = 'Unlock';
+    unlockBtn.onclick = () => unlockLogin(lockout.key);
+    row.appendChild(name);
+    row.appendChild(meta);
+    row.appendChild(unlockBtn);
+    list.appendChild(row);
+  }
+}
+
+async function unlockLogin(key) {
+  const res = await authFetch(`/api/admin/lockouts/${encodeURIComponent(key)}`, { method: 'DELETE' });
+  if (!res.ok) alert((await res.json()).error || 'Failed to unlock.');
+  await loadLockouts();
+}
+
+// ── Sign-ups and invites (admin) ──────────────────────────────────────────────
+function openInvitesModal() {
+  document.getElementById('invites-modal').classList.remove('hidden');
+  document.getElementById('invites-modal-backdrop').classList.remove('hidden');
+  document.getElementById('invites-error').textContent = '';
+  loadInvites();
+}
+
+function closeInvitesModal() {
+  document.getElementById('invites-modal').classList.add('hidden');
+  document.getElementById('invites-modal-backdrop').classList.add('hidden');
+}
+
+async function loadInvites() {
+  const modeRow = document.getElementById('registration-mode-row');
+  modeRow.classList.toggle('hidden', !can('settings.manage'));
+  if (can('settings.manage')) {
+    const settings = await authFetch('/api/admin/settings');
+    if (settings.ok) document.getElementById('registration-mode').value = (await settings.json()).registration_mode;
+  }
+
+  const list = document.getElementById('invites-list');
+  const res = await authFetch('/api/admin/invites');
+  if (!res.ok) { list.textContent = 'Could not load invites.'; return; }
+  const invites = await res.json();
+  list.innerHTML = '';
+  if (invites.length === 0) { list.textContent = 'No invites yet.'; return; }
+  for (const invite of invites) list.appendChild(createInviteRow(invite));
+}
+
+function inviteStatus(invite) {
+  if (invite.revoked_at) return 'revoked';
+  if (invite.expires_at && new Date(invite.expires_at) <= new Date()) return 'expired';
+  if (invite.max_uses !== null && invite.uses >= invite.max_uses) return 'used up';
+  return invite.expires_at ? `expires ${formatDate(invite.expires_at)} ${formatTime(invite.expires_at)}` : 'never expires';
+}
+
+function createInviteRow(invite) {
+  const row = document.createElement('div');
+  row.className = 'revision-row';
+  const code = document.createElement('div');
+  code.className = 'revision-content';
+  code.textContent = `${invite.code}${invite.note ? ` — ${invite.note}` : ''}`;
+  const meta = document.createElement('div');
+  meta.className = 'revision-meta';
+  const uses = invite.max_uses === null ? `${invite.uses} uses` : `${invite.uses}/${invite.max_uses} used`;
+  meta.textContent = `${uses} · ${inviteStatus(invite)} · by ${invite.created_by_username || 'unknown'}`;
+  row.appendChild(code);
+  row.appendChild(meta);
+  if (invite.used_by.length > 0) {
+    const joined = document.createElement('div');
+    joined.className = 'revision-meta';
+    joined.textContent = `Joined: ${invite.used_by.map(user => user.username).join(', ')}`;
+    row.appendChild(joined);
+  }
+  if (!invite.revoked_at) {
+    const linkBtn = document.createElement('button');
+    linkBtn.className = 'btn-secondary restore-btn';
+    linkBtn.textContent = 'Link';
+    linkBtn.onclick = () => prompt('Invite link:', `${location.origin}/?invite=${invite.code}`);
+    const revokeBtn = document.createElement('button');
+    revokeBtn.className = 'btn-secondary restore-btn';
+    revokeBtn.textContent = 'Revoke';
+    revokeBtn.onclick = () => revokeInvite(invite);
+    row.appendChild(linkBtn);
+    row.appendChild(revokeBtn);
+  }
+  return row;
+}
+
+async function createInvite() {
+  const errorEl = document.getElementById('invites-error');
+  const uses = document.getElementById('invite-uses').value;
+  const expiry = document.getElementById('invite-expiry').value;
+  errorEl.textContent = '';
+  const res = await authFetch('/api/admin/invites', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      maxUses: uses ? Number(uses) : null,
+      expiresInHours: expiry ? Number(expiry) : null,
+      note: document.getElementById('invite-note').value.trim()
+    })
+  });
+  if (!res.ok) { errorEl.textContent = (await res.json()).error; return; }
+  document.getElementById('invite-uses').value = '';
+  document.getElementById('invite-note').value = '';
+  await loadInvites();
+}
+
+async function revokeInvite(invite) {
+  if (!confirm(`Revoke invite ${invite.code}? Nobody else will be able to sign up with it.`)) return;
+  const res = await authFetch(`/api/admin/invites/${invite.id}`, { method: 'DELETE' });
+  if (!res.ok) alert((await res.json()).error || 'Failed to revoke the invite.');
+  await loadInvites();
+}
+
+async function setRegistrationMode(mode) {
+  const errorEl = document.getElementById('invites-error');
+  errorEl.textContent = '';
+  const res = await authFetch('/api/admin/settings', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ registration_mode: mode })
+  });
+  if (!res.ok) errorEl.textContent = (await res.json()).error;
+  await loadInvites();
+}
+
+// ── Attachment file types (admin) ─────────────────────────────────────────────
+
+function openFileTypesModal() {
+  document.getElementById('file-types-modal').classList.remove('hidden');
+  document.getElementById('file-types-modal-backdrop').classList.remove('hidden');
+  document.getElementById('file-types-error').textContent = '';
+  loadFileTypes();
+}
+
+function closeFileTypesModal() {
+  document.getElementById('file-types-modal').classList.add('hidden');
+  document.getElementById('file-types-modal-backdrop').classList.add('hidden');
+}
+
+async function loadFileTypes() {
+  const res = await authFetch('/api/admin/settings');
+  if (!res.ok) { document.getElementById('file-types-error').textContent = 'Could not load settings.'; return; }
+  const settings = await res.json();
+  document.getElementById('file-types-allowed').value = settings.file_extensions_allowed.join(', ');
+  document.getElementById('file-types-denied').value = settings.file_extensions_denied.join(', ');
+}
+
+// "pdf, .ZIP txt" → ['pdf', 'zip', 'txt']
+function parseExtensions(text) {
+  return text.split(/[\s,]+/).map(ext => ext.replace(/^\./, '').toLowerCase()).filter(Boolean);
+}
+
+async function saveFileTypes() {
+  const res = await authFetch('/api/admin/settings', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      file_extensions_allowed: parseExtensions(document.getElementById('file-types-allowed').value),
+      file_extensions_denied: parseExtensions(document.getElementById('file-types-denied').value)
+    })
   });
-  if (!res.ok) alert(`Failed to ${action.toLowerCase()} user.`);
+  if (!res.ok) { document.getElementById('file-types-error').textContent = (await res.json()).error; return; }
+  closeFileTypesModal();
+}
+
+// ── Audit log (admin) ─────────────────────────────────────────────────────────
+const AUDIT_LABELS = {
+  ban: 'banned', unban: 'unbanned', mute: 'muted', unmute: 'unmuted', clear_room: 'cleared', delete_message: 'deleted a message in',
+  restore_messages: 'restored messages in', set_role: 'changed the role of', set_room_role: 'changed the channel role of',
+  set_slow_mode: 'set slow mode in', reset_password: 'issued a password reset code for', update_setting: 'changed',
+  lockout: 'locked out', unlock: 'unlocked', create_invite: 'created', revoke_invite: 'revoked'
+};
+let auditOldestId = null;
+
+function openAuditModal() {
+  document.getElementById('audit-modal').classList.remove('hidden');
+  document.getElementById('audit-modal-backdrop').classList.remove('hidden');
+  loadAudit();
+}
+
+function closeAuditModal() {
+  document.getElementById('audit-modal').classList.add('hidden');
+  document.getElementById('audit-modal-backdrop').classList.add('hidden');
+}
+
+// Without `more` this starts over (filters changed); with it, fetches the next page
+async function loadAudit(more = false) {
+  const list = document.getElementById('audit-list');
+  const params = new URLSearchParams();
+  const action = document.getElementById('audit-action').value;
+  const actor = document.getElementById('audit-actor').value.trim();
+  if (action) params.set('action', action);
+  if (actor) params.set('actor', actor);
+  if (more && auditOldestId) params.set('before', auditOldestId);
+  const res = await authFetch(`/api/admin/audit?${params}`);
+  if (!res.ok) { list.textContent = 'Could not load the audit log.'; return; }
+  const { entries, hasMore } = await res.json();
+  if (!more) list.innerHTML = '';
+  for (const entry of entries) list.appendChild(createAuditRow(entry));
+  if (!more && entries.length === 0) list.textContent = 'No matching entries.';
+  if (entries.length > 0) auditOldestId = entries[entries.length - 1].id;
+  document.getElementById('audit-more-btn').classList.toggle('hidden', !hasMore);
+}
+
+function createAuditRow(entry) {
+  const row = document.createElement('div');
+  row.className = 'revision-row';
+  const meta = document.createElement('div');
+  meta.className = 'revision-meta';
+  meta.textContent = `${formatDate(entry.created_at)} ${formatTime(entry.created_at)}`;
+  const text = document.createElement('div');
+  text.className = 'revision-content';
+  const room = entry.details?.room || (entry.target_type === 'room' ? entry.target_id : null);
+  const target = entry.target_type === 'user'
+    ? (entry.target_username || `user #${entry.target_id}`)
+    : entry.target_type === 'login' ? lockoutLabel(entry.target_id)
+    : room ? roomLabel(room) : `${entry.target_type} ${entry.target_id}`;
+  const actor = entry.actor_id ? entry.actor_username || 'unknown' : 'System';
+  text.textContent = `${actor} ${AUDIT_LABELS[entry.action] || entry.action} ${target}`;
+  if (entry.details?.until) text.textContent += sanctionEnd(entry.details.until);
+  if (entry.action === 'set_slow_mode') text.textContent += entry.details.seconds ? ` to ${formatDuration(entry.details.seconds)}` : ' (off)';
+  if (entry.details?.to) {
+    text.textContent += ` (${entry.details.from} → ${entry.details.to}${entry.action === 'set_room_role' ? ` in ${roomLabel(entry.details.room)}` : ''})`;
+  }
+  row.appendChild(meta);
+  row.appendChild(text);
+  if (entry.reason) {
+    const reason = document.createElement('div');
+    reason.className = 'audit-reason';
+    reason.textContent = `Reason: ${entry.reason}`;
+    row.appendChild(reason);
+  }
+  return row;
 }
 
 // ── Avatar modal ──────────────────────────────────────────────────────────────
@@ -643,7 +2074,7 @@ function openAvatarModal() {
 function updatePreview() {
   const preview = document.getElementById('avatar-preview');
   // If a new PFP is staged, show it; if removing, show color/emoji; otherwise show current
-  const imgToShow = pendingImage_pfp !== undefined ? (pendingImage_pfp || null) : myAvatarImage;
+  const imgToShow = pendingImage_pfp !== undefined ? (pendingImage_pfp?.url || null) : myAvatarImage;
   renderAvatar(preview, pendingColor, pendingEmoji, imgToShow, myName);
 }
 
@@ -669,9 +2100,13 @@ function handlePfpUpload(event) {
       const sx = (img.width - size) / 2;
       const sy = (img.height - size) / 2;
       ctx.drawImage(img, sx, sy, size, size, 0, 0, 128, 128);
-      pendingImage_pfp = canvas.toDataURL('image/jpeg', 0.85);
-      document.getElementById('pfp-remove-btn').style.display = 'block';
-      updatePreview();
+      canvas.toBlob(async (blob) => {
+        const attachment = await uploadAttachment(blob, 'avatar.jpg');
+        if (!attachment) return;
+        pendingImage_pfp = attachment;
+        document.getElementById('pfp-remove-btn').style.display = 'block';
+        updatePreview();
+      }, 'image/jpeg', 0.85);
     };
     img.src = e.target.result;
   };
@@ -686,13 +2121,13 @@ function removePfp() {
 }
 
 async function saveAvatar() {
-  // pendingImage_pfp: undefined = keep existing, null = remove, string = new image
-  const imageToSave = pendingImage_pfp !== undefined ? pendingImage_pfp : myAvatarImage;
+  // pendingImage_pfp: undefined = keep existing, null = remove, object = new upload
+  const imageId = pendingImage_pfp === undefined ? undefined : pendingImage_pfp?.id ?? null;
   try {
-    const res = await fetch('/api/avatar', {
+    const res = await authFetch('/api/avatar', {
       method: 'PUT',
-      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
-      body: JSON.stringify({ color: pendingColor, emoji: pendingEmoji, image: imageToSave })
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ color: pendingColor, emoji: pendingEmoji, imageId })
     });
     if (res.ok) { closeAvatarModal(); }
     else { alert('Failed to save avatar.'); }
@@ -701,13 +2136,20 @@ async function saveAvatar() {
 
 // ── Avatar rendering ──────────────────────────────────────────────────────────
 // This handles all three avatar types: photo, emoji, or color+initial
+// Profile pictures have one URL per user; the version changes with the picture,
+// so the browser can cache each one for good
+function avatarUrl(userId, version) {
+  return version ? `/api/avatars/${userId}?v=${version}` : null;
+}
+
 function renderAvatar(el, color, emoji, image, username) {
   el.style.background = color || '#7289da';
   el.innerHTML = ''; // Clear previous content
 
   if (image) {
-    // Show the profile picture
+    // Show the profile picture, fetched once it's near the screen
     const img = document.createElement('img');
+    img.loading = 'lazy';
     img.src = image;
     img.alt = username || '?';
     img.style.cssText = 'width:100%;height:100%;object-fit:cover;border-radius:50%;';
@@ -728,14 +2170,308 @@ function closeSidebar() {
   document.getElementById('sidebar-overlay').classList.remove('visible');
 }
 
+// ── Password ──────────────────────────────────────────────────────────────────
+function openPasswordModal() {
+  document.getElementById('current-password').value = '';
+  document.getElementById('new-password').value = '';
+  document.getElementById('password-error').textContent = '';
+  document.getElementById('password-modal').classList.remove('hidden');
+  document.getElementById('password-modal-backdrop').classList.remove('hidden');
+  document.getElementById('current-password').focus();
+}
+
+function closePasswordModal() {
+  document.getElementById('password-modal').classList.add('hidden');
+  document.getElementById('password-modal-backdrop').classList.add('hidden');
+}
+
+async function changePassword() {
+  const res = await authFetch('/api/password', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      currentPassword: document.getElementById('current-password').value,
+      newPassword: document.getElementById('new-password').value
+    })
+  });
+  const data = await res.json();
+  if (!res.ok) { document.getElementById('password-error').textContent = data.error; return; }
+  closePasswordModal();
+  alert(data.revoked ? `Password changed. ${data.revoked} other device(s) were logged out.` : 'Password changed.');
+}
+
+// ── Account export & deletion ─────────────────────────────────────────────────
+async function openAccountModal() {
+  document.getElementById('delete-account-password').value = '';
+  document.getElementById('account-error').textContent = '';
+  document.getElementById('account-modal').classList.remove('hidden');
+  document.getElementById('account-modal-backdrop').classList.remove('hidden');
+  // Say up front what happens to my messages
+  const res = await authFetch('/api/me/deletion-policy');
+  const { messages } = res.ok ? await res.json() : {};
+  document.getElementById('delete-account-hint').textContent = messages === 'delete'
+    ? '(your messages will be deleted too)'
+    : messages === 'anonymize' ? '(your messages stay, shown as from "Deleted user")' : '';
+}
+
+function closeAccountModal() {
+  document.getElementById('account-modal').classList.add('hidden');
+  document.getElementById('account-modal-backdrop').classList.add('hidden');
+}
+
+async function exportMyData() {
+  const res = await authFetch('/api/me/export');
+  if (!res.ok) { document.getElementById('account-error').textContent = 'Could not export your data.'; return; }
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(await res.blob());
+  link.download = `${myName}-export.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+async function deleteAccount() {
+  if (!confirm('Delete your account for good? This cannot be undone.')) return;
+  const res = await authFetch('/api/me', {
+    method: 'DELETE',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ password: document.getElementById('delete-account-password').value })
+  });
+  if (!res.ok) { document.getElementById('account-error').textContent = (await res.json()).error; return; }
+  endSession();
+}
+
+// Someone deleted their account: their messages now show as "Deleted user", or are gone
+socket.on('account_deleted', () => {
+  if (currentRoom && !viewingContext) socket.emit('get_messages', currentRoom);
+  if (openThreadId) socket.emit('open_thread', openThreadId);
+});
+
+// ── Two-factor ────────────────────────────────────────────────────────────────
+async function openTwoFactorModal() {
+  document.getElementById('twofa-modal').classList.remove('hidden');
+  document.getElementById('twofa-modal-backdrop').classList.remove('hidden');
+  document.getElementById('twofa-recovery-box').classList.add('hidden');
+  await loadTwoFactor();
+}
+
+function closeTwoFactorModal() {
+  document.getElementById('twofa-modal').classList.add('hidden');
+  document.getElementById('twofa-modal-backdrop').classList.add('hidden');
+}
+
+async function loadTwoFactor() {
+  document.getElementById('twofa-error').textContent = '';
+  document.getElementById('twofa-setup').classList.add('hidden');
+  document.getElementById('twofa-enable-btn').classList.add('hidden');
+  const res = await authFetch('/api/2fa');
+  if (!res.ok) { document.getElementById('twofa-status').textContent = 'Could not load two-factor settings.'; return; }
+  const { enabled, recoveryCodesLeft, required } = await res.json();
+  document.getElementById('twofa-status').textContent = enabled
+    ? `On — ${recoveryCodesLeft} recovery code${recoveryCodesLeft === 1 ? '' : 's'} left.`
+    : `Off.${required ? ' Your role requires it; you\'ll be asked to set it up when you next log in.' : ''}`;
+  document.getElementById('twofa-start-btn').classList.toggle('hidden', enabled);
+  document.getElementById('twofa-codes-btn').classList.toggle('hidden', !enabled);
+  document.getElementById('twofa-disable-btn').classList.toggle('hidden', !enabled || required);
+
+  const adminRow = document.getElementById('require-admin-2fa-row');
+  adminRow.classList.toggle('hidden', !can('settings.manage'));
+  if (can('settings.manage')) {
+    const settings = await authFetch('/api/admin/settings');
+    if (settings.ok) document.getElementById('require-admin-2fa').checked = (await settings.json()).require_admin_2fa;
+  }
+}
+
+async function startTwoFactorSetup() {
+  const res = await authFetch('/api/2fa/setup', { method: 'POST' });
+  const data = await res.json();
+  if (!res.ok) { document.getElementById('twofa-error').textContent = data.error; return; }
+  document.getElementById('twofa-qr').src = data.qr;
+  document.getElementById('twofa-secret').textContent = data.secret;
+  document.getElementById('twofa-code').value = '';
+  document.getElementById('twofa-setup').classList.remove('hidden');
+  document.getElementById('twofa-start-btn').classList.add('hidden');
+  document.getElementById('twofa-enable-btn').classList.remove('hidden');
+  document.getElementById('twofa-code').focus();
+}
+
+async function enableTwoFactor() {
+  const res = await authFetch('/api/2fa/enable', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ code: document.getElementById('twofa-code').value.trim() })
+  });
+  const data = await res.json();
+  if (!res.ok) { document.getElementById('twofa-error').textContent = data.error; return; }
+  await loadTwoFactor();
+  showRecoveryCodes(data.recoveryCodes);
+}
+
+async function newRecoveryCodes() {
+  const password = prompt('Enter your password to get new recovery codes (the old ones stop working):');
+  if (password === null) return;
+  const res = await authFetch('/api/2fa/recovery-codes', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ password })
+  });
+  const data = await res.json();
+  if (!res.ok) { document.getElementById('twofa-error').textContent = data.error; return; }
+  await loadTwoFactor();
+  showRecoveryCodes(data.recoveryCodes);
+}
+
+function showRecoveryCodes(codes) {
+  document.getElementById('twofa-recovery').textContent = codes.join('\n');
+  document.getElementById('twofa-recovery-box').classList.remove('hidden');
+}
+
+async function disableTwoFactor() {
+  const password = prompt('Enter your password to turn off two-factor authentication:');
+  if (password === null) return;
+  const res = await authFetch('/api/2fa/disable', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ password })
+  });
+  if (!res.ok) { document.getElementById('twofa-error').textContent = (await res.json()).error; return; }
+  document.getElementById('twofa-recovery-box').classList.add('hidden');
+  await loadTwoFactor();
+}
+
+async function setRequireAdminTwoFactor(required) {
+  if (required && !confirm('Admins and owners without two-factor authentication will be logged out and asked to set it up. Continue?')) {
+    document.getElementById('require-admin-2fa').checked = false;
+    return;
+  }
+  const res = await authFetch('/api/admin/settings', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ require_admin_2fa: required })
+  });
+  if (!res.ok) {
+    document.getElementById('twofa-error').textContent = (await res.json()).error;
+    document.getElementById('require-admin-2fa').checked = !required;
+    return;
+  }
+  await loadTwoFactor();
+}
+
+// ── Devices ───────────────────────────────────────────────────────────────────
+function openSessionsModal() {
+  document.getElementById('sessions-modal').classList.remove('hidden');
+  document.getElementById('sessions-modal-backdrop').classList.remove('hidden');
+  loadSessions();
+}
+
+function closeSessionsModal() {
+  document.getElementById('sessions-modal').classList.add('hidden');
+  document.getElementById('sessions-modal-backdrop').classList.add('hidden');
+}
+
+async function loadSessions() {
+  const list = document.getElementById('sessions-list');
+  const res = await authFetch('/api/sessions');
+  if (!res.ok) { list.textContent = 'Could not load devices.'; return; }
+  const sessions = await res.json();
+  document.getElementById('logout-others-btn').disabled = !sessions.some(s => !s.current);
+  list.innerHTML = '';
+  for (const session of sessions) {
+    const row = document.createElement('div');
+    row.className = 'revision-row';
+    const name = document.createElement('div');
+    name.className = 'revision-content';
+    name.textContent = describeDevice(session.user_agent) + (session.current ? ' — this device' : '');
+    const meta = document.createElement('div');
+    meta.className = 'revision-meta';
+    const active = session.online ? 'active now' : `last active ${formatDate(session.last_used_at).toLowerCase()} ${formatTime(session.last_used_at)}`;
+    meta.textContent = `${session.ip || 'unknown IP'} · ${active} · signed in ${formatDate(session.created_at).toLowerCase()}`;
+    row.appendChild(name);
+    row.appendChild(meta);
+    if (!session.current) {
+      const revokeBtn = document.createElement('button');
+      revokeBtn.className = 'btn-secondary restore-btn';
+      revokeBtn.textContent = 'Log out';
+      revokeBtn.onclick = () => revokeSession(session.id);
+      row.appendChild(revokeBtn);
+    }
+    list.appendChild(row);
+  }
+}
+
+async function revokeSession(sessionId) {
+  const res = await authFetch(`/api/sessions/${sessionId}`, { method: 'DELETE' });
+  if (!res.ok) { alert((await res.json()).error || 'Failed to log out that device.'); return; }
+  await loadSessions();
+}
+
+async function logoutOtherSessions() {
+  if (!confirm('Log out of every other device?')) return;
+  const res = await authFetch('/api/sessions', { method: 'DELETE' });
+  if (!res.ok) { alert('Failed to log out other devices.'); return; }
+  await loadSessions();
+}
+
+// "Chrome on Windows" from a user agent string (good enough to tell devices apart)
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+  const browser = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+    .find(([marker]) => userAgent.includes(marker))?.[1];
+  const os = [['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Android', 'Android'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']]
+    .find(([marker]) => userAgent.includes(marker))?.[1];
+  if (!browser) return os ? `Unknown browser on ${os}` : userAgent.slice(0, 60);
+  return os ? `${browser} on ${os}` : browser;
+}
+
 // ── Logout ────────────────────────────────────────────────────────────────────
-function logout() { localStorage.clear(); window.location.href = '/index.html'; }
+async function logout() {
+  try {
+    await fetch('/api/logout', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: localStorage.getItem('refreshToken') })
+    });
+  } catch { /* offline: the session still expires on its own */ }
+  endSession();
+}
+
+// Forget the session locally and go back to the login page
+function endSession() { localStorage.clear(); window.location.href = '/index.html'; }
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 function scrollToBottom() {
   const area = document.getElementById('messages-area');
   area.scrollTop = area.scrollHeight;
 }
+// "(edited)" — clickable when the server's policy lets me see the earlier versions
+function createEditedLabel(messageId, senderId) {
+  const label = document.createElement('span');
+  label.className = 'edited-label';
+  label.textContent = '(edited)';
+  const canView = can('message.view_edits') || editHistoryPolicy === 'everyone' || (editHistoryPolicy === 'author' && senderId === myId);
+  if (canView) {
+    label.classList.add('clickable');
+    label.title = 'Show edit history';
+    label.onclick = () => openRevisionsModal(messageId);
+  }
+  return label;
+}
+
+function openRevisionsModal(messageId) {
+  const modal = document.getElementById('revisions-modal');
+  modal.dataset.messageId = messageId;
+  document.getElementById('revision-list').textContent = 'Loading…';
+  modal.classList.remove('hidden');
+  document.getElementById('revisions-modal-backdrop').classList.remove('hidden');
+  socket.emit('get_message_history', messageId);
+}
+
+function closeRevisionsModal() {
+  const modal = document.getElementById('revisions-modal');
+  delete modal.dataset.messageId;
+  modal.classList.add('hidden');
+  document.getElementById('revisions-modal-backdrop').classList.add('hidden');
+}
+
 function formatTime(ts) {
   return new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 }
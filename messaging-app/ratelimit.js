@@ -0,0 +1,67 @@
+// ratelimit.js - Token-bucket rate limiting for routes and socket events
+//
+// Each key (a user id or an IP) gets a bucket that holds up to `burst` tokens
+// and refills at `perMinute` tokens a minute. Every action takes one token;
+// an empty bucket means "slow down". Buckets live in memory, so limits reset
+// when the server restarts and aren't shared between server instances.
+
+// name: [burst, perMinute]. Override with e.g. RATE_LIMIT_MESSAGE=5,20
+const DEFAULT_LIMITS = {
+  auth:     [5, 10],   // login/register attempts per IP
+  api:      [60, 300], // any other REST call per user (per IP when logged out)
+  api_ip:   [300, 1500], // all signed-in REST calls from one IP, e.g. an office behind NAT
+  message:  [10, 30],  // send_message / edit_message per user
+  reaction: [20, 60]   // toggle_reaction per user
+};
+
+function limitFromEnv(name) {
+  const raw = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+  const [burst, perMinute] = (raw || '').split(',').map(Number);
+  return burst > 0 && perMinute > 0 ? [burst, perMinute] : DEFAULT_LIMITS[name];
+}
+
+function createLimiter(name) {
+  const [burst, perMinute] = limitFromEnv(name);
+  const refillPerMs = perMinute / 60_000;
+  const buckets = new Map(); // key -> { tokens, updatedAt }
+
+  // Full buckets carry no information; drop them so the map doesn't grow forever
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * refillPerMs >= burst) buckets.delete(key);
+    }
+  }, 60_000).unref();
+
+  // Take a token for `key`. Returns 0 if allowed, otherwise the ms to wait.
+  function take(key) {
+    const now = Date.now();
+    const bucket = buckets.get(key) || { tokens: burst, updatedAt: now };
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+    buckets.set(key, bucket);
+    if (bucket.tokens >= 1) { bucket.tokens -= 1; return 0; }
+    return Math.ceil((1 - bucket.tokens) / refillPerMs);
+  }
+
+  return { name, take };
+}
+
+// Express middleware: 429 with a Retry-After header once any of the buckets
+// runs dry. `bucketsOf(req)` lists them as [limiter, key] pairs.
+function limitRequest(bucketsOf) {
+  return (req, res, next) => {
+    const waitMs = Math.max(...bucketsOf(req).map(([limiter, key]) => limiter.take(key)));
+    if (!waitMs) return next();
+    const retryAfter = Math.ceil(waitMs / 1000);
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ error: `Too many requests. Try again in ${retryAfter}s.`, retryAfter });
+  };
+}
+
+// The common case: one bucket per `keyOf(req)`
+function limitRoute(limiter, keyOf = req => req.ip) {
+  return limitRequest(req => [[limiter, keyOf(req)]]);
+}
+
+module.exports = { createLimiter, limitRequest, limitRoute };
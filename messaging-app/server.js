@@ -7,8 +7,17 @@ const http       = require('http');
 const { Server } = require('socket.io');
 const bcrypt     = require('bcryptjs');
 const jwt        = require('jsonwebtoken');
+const crypto     = require('crypto');
 const path       = require('path');
+const QRCode     = require('qrcode');
+const multer     = require('multer');
+const contentDisposition = require('content-disposition');
 const db         = require('./db');
+const { ROLES, ROLE_RANK, ROOM_ROLES, hasPermission, hasRoomPermission, outranks } = require('./permissions');
+const { createLimiter, limitRequest, limitRoute } = require('./ratelimit');
+const { generateSecret, verifyTotp, otpauthUri } = require('./totp');
+const { createStorage, newStorageKey } = require('./storage');
+const { processImage, IMAGE_TYPES, THUMBNAIL_TYPE } = require('./images');
 
 const app    = express();
 const server = http.createServer(app);
@@ -16,228 +25,1856 @@ const io     = new Server(server);
 
 const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-change-in-production';
 const PORT       = process.env.PORT || 3000;
+const DEFAULT_ROOM = 'general'; // everyone is a member; it can't be left or archived
+const TYPING_TIMEOUT_MS = 6000;  // a typing_start expires unless the client refreshes it
+const STATUSES = ['online', 'away', 'dnd', 'invisible'];
+// Who may see earlier versions of an edited message: 'everyone' in the room,
+// 'author' (plus admins) or 'admins' only. Admins can always see them.
+const EDIT_HISTORY_VISIBILITY = ['everyone', 'author', 'admins'].includes(process.env.EDIT_HISTORY_VISIBILITY)
+  ? process.env.EDIT_HISTORY_VISIBILITY
+  : 'everyone';
+// Deleted messages can be restored by an admin for this many days, then they're purged
+const DELETED_RETENTION_DAYS = Number(process.env.DELETED_RETENTION_DAYS) || 30;
+const AUDIT_ACTIONS = [
+  'ban', 'unban', 'mute', 'unmute', 'clear_room', 'delete_message', 'restore_messages',
+  'set_role', 'set_room_role', 'set_slow_mode', 'reset_password', 'update_setting', 'lockout', 'unlock',
+  'create_invite', 'revoke_invite'
+];
+// Who can sign up: anyone, only people with an invite code, or nobody.
+// REGISTRATION_MODE sets the starting mode; admins can change it at runtime.
+const REGISTRATION_MODES = ['open', 'invite', 'closed'];
+// What happens to a deleted account's messages: kept with no author, or deleted.
+// DELETED_ACCOUNT_MESSAGES sets the starting policy; admins can change it at runtime.
+const DELETED_ACCOUNT_POLICIES = ['anonymize', 'delete'];
+// Which file extensions can be attached: the allowed list (empty = any) minus
+// the denied list, which always wins. FILE_EXTENSIONS_ALLOWED and
+// FILE_EXTENSIONS_DENIED (comma-separated) set the starting lists.
+const DEFAULT_DENIED_EXTENSIONS = [
+  'exe', 'msi', 'com', 'scr', 'pif', 'cpl', 'dll', 'bat', 'cmd', 'ps1', 'vbs', 'vbe',
+  'js', 'jse', 'wsf', 'wsh', 'hta', 'jar', 'lnk', 'reg', 'sh', 'apk', 'app', 'dmg'
+];
+function extensionList(value, fallback) {
+  return value === undefined ? fallback : value.split(',').map(ext => ext.trim().toLowerCase().replace(/^\./, '')).filter(Boolean);
+}
+const validExtensionList = value =>
+  Array.isArray(value) && value.length <= 200 && value.every(ext => typeof ext === 'string' && /^[a-z0-9]{1,16}$/.test(ext));
+// Site-wide settings admins can change at runtime (stored in the settings table)
+const SETTINGS = {
+  require_admin_2fa: { default: false, valid: value => typeof value === 'boolean' }, // admins and owners must use 2FA
+  registration_mode: {
+    default: REGISTRATION_MODES.includes(process.env.REGISTRATION_MODE) ? process.env.REGISTRATION_MODE : 'open',
+    valid: value => REGISTRATION_MODES.includes(value)
+  },
+  deleted_account_messages: {
+    default: DELETED_ACCOUNT_POLICIES.includes(process.env.DELETED_ACCOUNT_MESSAGES) ? process.env.DELETED_ACCOUNT_MESSAGES : 'anonymize',
+    valid: value => DELETED_ACCOUNT_POLICIES.includes(value)
+  },
+  file_extensions_allowed: { default: extensionList(process.env.FILE_EXTENSIONS_ALLOWED, []), valid: validExtensionList },
+  file_extensions_denied: { default: extensionList(process.env.FILE_EXTENSIONS_DENIED, DEFAULT_DENIED_EXTENSIONS), valid: validExtensionList }
+};
+const MAX_SLOW_MODE_SECONDS = 3600;
+// Access tokens are short-lived; the refresh token that renews them lasts
+// REFRESH_TOKEN_DAYS from its last use
+const ACCESS_TOKEN_TTL   = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+const PASSWORD_RESET_HOURS = 24; // how long an admin-issued reset code works
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'ChatApp'; // the name authenticator apps show
+const RECOVERY_CODE_COUNT = 10;
+
+// Behind a proxy (Render has one) set TRUST_PROXY=1 so req.ip is the real client
+if (process.env.TRUST_PROXY) app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
 
-app.use(express.json({ limit: '10mb' })); // Allow large bodies for base64 images
+app.use(express.json()); // files come in as multipart uploads (see /api/attachments)
 app.use(express.static(path.join(__dirname, 'public')));
 
+// ─── Rate limits ──────────────────────────────────────────────────────────────
+const limiters = {
+  auth:     createLimiter('auth'),
+  api:      createLimiter('api'),
+  apiIp:    createLimiter('api_ip'),
+  message:  createLimiter('message'),
+  reaction: createLimiter('reaction')
+};
+
+// Signed-in REST calls are limited per user, so people sharing an IP don't
+// share a bucket; the IP still gets a roomier one of its own. This runs before
+// requireAuth, so a valid signature is enough to pick the user's bucket.
+function apiBuckets(req) {
+  const auth = req.headers.authorization;
+  let userId = null;
+  if (auth && auth.startsWith('Bearer ')) {
+    try { userId = jwt.verify(auth.slice(7), JWT_SECRET).id; } catch { /* limited by IP */ }
+  }
+  if (!userId) return [[limiters.api, req.ip]];
+  return [[limiters.api, `user:${userId}`], [limiters.apiIp, req.ip]];
+}
+
+// Attachment and avatar downloads are signed or public and cached by the
+// browser; a busy channel or member list can load hundreds of them at once
+const DOWNLOAD_PATH = /^\/(attachments\/\d+(\/thumbnail)?|avatars\/\d+)$/;
+const limitApi = limitRequest(apiBuckets);
+app.use('/api', (req, res, next) => {
+  if ((req.method === 'GET' || req.method === 'HEAD') && DOWNLOAD_PATH.test(req.path)) return next();
+  limitApi(req, res, next);
+});
+
+// Socket events are limited per user. Returns true (and tells the client) when
+// the event should be dropped.
+function throttled(socket, limiter, event) {
+  const waitMs = limiter.take(`user:${socket.user.id}`);
+  if (!waitMs) return false;
+  socket.emit('rate_limited', { event, retryAfter: Math.ceil(waitMs / 1000) });
+  return true;
+}
+
+// Slow mode: one message per user every N seconds in that channel.
+// room -> Map(userId -> last send time)
+const slowModeLastSent = new Map();
+
+// Seconds the user must still wait before posting in `room`; 0 means go ahead
+// (and starts their next wait). Moderators are exempt.
+async function slowModeWait(user, room) {
+  if (room.startsWith('dm:')) return 0;
+  const channel = await db.getRoomBySlug(room);
+  if (!channel?.slow_mode_seconds || await canInRoom(user, 'message.delete_any', room)) return 0;
+  if (!slowModeLastSent.has(room)) slowModeLastSent.set(room, new Map());
+  const lastSent = slowModeLastSent.get(room).get(user.id) || 0;
+  const waitMs = lastSent + channel.slow_mode_seconds * 1000 - Date.now();
+  if (waitMs > 0) return Math.ceil(waitMs / 1000);
+  slowModeLastSent.get(room).set(user.id, Date.now());
+  return 0;
+}
+
 // ─── Database ─────────────────────────────────────────────────────────────────
-db.init().then(() => console.log('Database ready')).catch(err => {
+db.init().then(() => {
+  console.log('Database ready');
+  migrateInlineImages().catch(err => console.error('Image migration error:', err));
+}).catch(err => {
   console.error('Database error:', err.message);
   process.exit(1);
 });
 
+// Purge soft-deleted messages past the retention period, unused uploads and
+// dead sessions, once an hour
+setInterval(async () => {
+  try {
+    const purged = await db.purgeDeletedMessages(DELETED_RETENTION_DAYS);
+    if (purged > 0) console.log(`Purged ${purged} deleted message(s)`);
+    for (const key of await db.purgeOrphanAttachments(ORPHAN_ATTACHMENT_HOURS)) await storage.remove(key);
+    await db.purgeSessions();
+    await db.purgeLoginAttempts(LOGIN_FAILURE_WINDOW_MINUTES);
+  } catch (err) { console.error('Retention error:', err); }
+}, 60 * 60 * 1000);
+
+// ─── Sessions ─────────────────────────────────────────────────────────────────
+// Logging in starts a session and hands out a short-lived access token (a JWT
+// naming the session) plus a refresh token. Each refresh swaps the refresh
+// token for a new one; replaying an old one revokes the whole session.
+function hashToken(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function accessToken(user, sessionId) {
+  return jwt.sign({ id: user.id, username: user.username, sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+// What /api/login and /api/register send back. The request's user agent and
+// IP label the session in the user's device list.
+async function startSession(user, req) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const device = { userAgent: (req.get('user-agent') || '').slice(0, 500), ip: req.ip };
+  const session = await db.createSession(user.id, hashToken(secret), refreshExpiry(), device);
+  return { token: accessToken(user, session.id), refreshToken: `${session.id}.${secret}`, username: user.username, id: user.id };
+}
+
+// "<id>.<secret>" -> { session, hash }, or null if it doesn't name a live session
+async function findSession(refreshToken) {
+  const [id, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+  if (!secret) return null;
+  const session = await db.getSession(Number(id));
+  if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) return null;
+  return { session, hash: hashToken(secret) };
+}
+
+// Password reset and 2FA recovery codes look like "K7QM-2XPD": no 0/O or 1/I
+// to misread when they're written down. Case and dashes don't matter when
+// typed back in.
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function newOneTimeCode() {
+  const chars = Array.from({ length: 8 }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]);
+  return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+}
+
+// Typed-in code -> stored form ("k7qm 2xpd" -> "K7QM-2XPD")
+function formatOneTimeCode(code) {
+  const chars = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return chars.length === 8 ? `${chars.slice(0, 4)}-${chars.slice(4)}` : chars;
+}
+
+function hashOneTimeCode(code) {
+  return hashToken(String(code).toUpperCase().replace(/[^A-Z0-9]/g, ''));
+}
+
+// A valid signature isn't enough: the session must not have been revoked
+async function verifyAccessToken(token) {
+  const payload = jwt.verify(token, JWT_SECRET);
+  const session = await db.getSession(payload.sid);
+  if (!session || session.revoked_at) throw new Error('Session revoked');
+  return payload;
+}
+
+// The client's address as seen through TRUST_PROXY, like req.ip
+function socketIp(socket) {
+  const forwarded = socket.handshake.headers['x-forwarded-for'];
+  return app.get('trust proxy') && forwarded ? forwarded.split(',')[0].trim() : socket.handshake.address;
+}
+
+// Close every socket opened with a session, e.g. after logout
+function disconnectSession(sessionId) {
+  for (const s of io.sockets.sockets.values()) {
+    if (s.sessionId === sessionId) { s.emit('logged_out'); s.disconnect(); }
+  }
+}
+
+// A socket's token runs out at `exp` (seconds). The client renews it before
+// then with `reauthenticate`; if it doesn't, the socket is told and dropped.
+function armTokenExpiry(socket, exp) {
+  clearTimeout(socket.tokenTimer);
+  const ms = exp * 1000 - Date.now();
+  socket.tokenTimer = setTimeout(() => {
+    if (ms > 2 ** 31 - 1) return armTokenExpiry(socket, exp); // longer than setTimeout can wait
+    socket.emit('token_expired');
+    socket.disconnect();
+  }, Math.min(ms, 2 ** 31 - 1));
+}
+
 // ─── Auth middleware ──────────────────────────────────────────────────────────
-function requireAuth(req, res, next) {
+async function requireAuth(req, res, next) {
   const auth = req.headers.authorization;
   if (!auth || !auth.startsWith('Bearer ')) return res.status(401).json({ error: 'Not logged in' });
-  try { req.user = jwt.verify(auth.slice(7), JWT_SECRET); next(); }
-  catch { res.status(401).json({ error: 'Invalid token' }); }
+  try { req.user = await verifyAccessToken(auth.slice(7)); }
+  catch (err) {
+    // `expired` tells the client a refresh should fix it
+    if (err.name === 'TokenExpiredError') return res.status(401).json({ error: 'Token expired', expired: true });
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+  db.touchSession(req.user.sid, req.ip).catch(err => console.error('Session error:', err));
+  next();
 }
 
-async function requireAdmin(req, res, next) {
-  const user = await db.getUserById(req.user.id);
-  if (!user?.is_admin) return res.status(403).json({ error: 'Admin only' });
-  next();
+// Moderators may give a reason; it's stored in the audit log as-is
+function auditReason(reason) {
+  return typeof reason === 'string' ? reason.trim().slice(0, 500) : '';
+}
+
+// The :userId in the URL, or null if no user can have it. Ids are SERIAL
+// (int32); anything outside that would make pg throw.
+function userIdParam(req) {
+  const id = Number(req.params.userId);
+  return Number.isInteger(id) && id > 0 && id <= 2147483647 ? id : null;
+}
+
+// Site-wide permission check. The user is loaded fresh so role changes apply
+// at once; the route gets it as req.actor.
+function requirePermission(permission) {
+  return async (req, res, next) => {
+    try {
+      const user = await db.getUserById(req.user.id);
+      if (!user || !hasPermission(user.role, permission)) {
+        return res.status(403).json({ error: "You don't have permission to do that" });
+      }
+      req.actor = user;
+    } catch (err) {
+      console.error(err); return res.status(500).json({ error: 'Server error' });
+    }
+    next();
+  };
+}
+
+// ─── Bans & mutes ─────────────────────────────────────────────────────────────
+// Either can be temporary. The scheduler below lifts them when they run out,
+// but these checks don't wait for it.
+function isBanned(user) {
+  return user.is_banned && (!user.banned_until || new Date(user.banned_until) > new Date());
+}
+
+function isMuted(user) {
+  return user.is_muted && (!user.muted_until || new Date(user.muted_until) > new Date());
+}
+
+// What the banned/muted user is told
+function banInfo(user) {
+  return { reason: user.ban_reason, until: user.banned_until };
+}
+
+// The 403 body when a banned user tries to log in (or stay logged in)
+function banError(user) {
+  const { reason, until } = banInfo(user);
+  return { error: `Your account has been banned.${reason ? ` Reason: ${reason}` : ''}`, reason, until };
+}
+
+function muteInfo(user) {
+  return isMuted(user) ? { reason: user.mute_reason, until: user.muted_until } : null;
+}
+
+// A duration in minutes from the request, or null for "until lifted"
+function sanctionExpiry(minutes) {
+  const n = Number(minutes);
+  return n > 0 ? new Date(Date.now() + n * 60_000) : null;
+}
+
+// ─── Login protection ─────────────────────────────────────────────────────────
+// Failed logins are counted per username (whether the account exists or not,
+// so a lockout says nothing about which names are real) and per IP. After a
+// few free tries every failure doubles the wait before the next one, and
+// `lockAfter` failures lock the key for LOCKOUT_MINUTES. Logging in
+// successfully clears the username's count; an IP's count only ages out.
+const LOGIN_LIMITS = {
+  user: { free: 3,  lockAfter: 10 },
+  ip:   { free: 10, lockAfter: 50 } // higher: many people can share an address
+};
+const LOCKOUT_MINUTES = 15;
+const LOGIN_FAILURE_WINDOW_MINUTES = 60; // failures older than this are forgotten
+
+// Unknown usernames are checked against this so they take as long as real ones
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+function loginKeys(req, username) {
+  return [`user:${String(username).toLowerCase()}`, `ip:${req.ip}`];
+}
+
+// Sends a 429 and returns true while any of `keys` has to wait
+async function loginBlocked(res, keys) {
+  const until = await db.getLoginBlock(keys);
+  if (!until) return false;
+  const retryAfter = Math.max(1, Math.ceil((new Date(until) - Date.now()) / 1000));
+  const wait = retryAfter >= 60 ? `${Math.ceil(retryAfter / 60)} minute(s)` : `${retryAfter} second(s)`;
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ error: `Too many failed attempts. Try again in ${wait}.`, retryAfter });
+  return true;
+}
+
+async function recordLoginFailure(keys) {
+  for (const key of keys) {
+    const { free, lockAfter } = LOGIN_LIMITS[key.slice(0, key.indexOf(':'))];
+    const failures = await db.recordLoginFailure(key, LOGIN_FAILURE_WINDOW_MINUTES);
+    if (failures < free) continue;
+    const locked = failures >= lockAfter;
+    const seconds = locked ? LOCKOUT_MINUTES * 60 : Math.min(2 ** (failures - free), LOCKOUT_MINUTES * 60);
+    const until = new Date(Date.now() + seconds * 1000);
+    await db.setLoginLock(key, until);
+    if (locked) {
+      console.warn(`Locked ${key} for ${LOCKOUT_MINUTES} minutes after ${failures} failed attempts`);
+      await db.addAuditEntry(null, 'lockout', 'login', key, `${failures} failed attempts`, { until });
+    }
+  }
 }
 
 // ─── Auth routes ──────────────────────────────────────────────────────────────
-app.post('/api/register', async (req, res) => {
-  const { username, password } = req.body;
-  if (!username || !password) return res.status(400).json({ error: 'Username and password are required' });
-  if (username.length < 3) return res.status(400).json({ error: 'Username must be at least 3 characters' });
-  if (!/^[a-zA-Z0-9_]+$/.test(username)) return res.status(400).json({ error: 'Letters, numbers, and underscores only' });
-  if (password.length < 6) return res.status(400).json({ error: 'Password must be at least 6 characters' });
+const USERNAME_MAX_LENGTH = 50; // users.username is VARCHAR(50)
+
+// No account can have a longer name, so logins with one fail without touching
+// the lockout table (whose keys wouldn't fit it anyway)
+function impossibleUsername(username) {
+  return String(username).length > USERNAME_MAX_LENGTH;
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < 6) return 'Password must be at least 6 characters';
+  return null;
+}
+
+// Lets the sign-up form show an invite code field, or hide itself
+app.get('/api/registration', async (req, res) => {
+  try { res.json({ mode: await getSetting('registration_mode') }); }
+  catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+app.post('/api/register', limitRoute(limiters.auth), async (req, res) => {
+  const { username, password, inviteCode } = req.body;
   try {
+    const mode = await getSetting('registration_mode');
+    if (mode === 'closed') return res.status(403).json({ error: 'Registration is closed' });
+    if (mode === 'invite' && !inviteCode) return res.status(400).json({ error: 'An invite code is required to sign up' });
+    if (!username || !password) return res.status(400).json({ error: 'Username and password are required' });
+    if (username.length < 3) return res.status(400).json({ error: 'Username must be at least 3 characters' });
+    if (username.length > USERNAME_MAX_LENGTH) return res.status(400).json({ error: `Username can be at most ${USERNAME_MAX_LENGTH} characters` });
+    if (!/^[a-zA-Z0-9_]+$/.test(username)) return res.status(400).json({ error: 'Letters, numbers, and underscores only' });
+    const invalid = validatePassword(password);
+    if (invalid) return res.status(400).json({ error: invalid });
     const passwordHash = await bcrypt.hash(password, 10);
-    const user = await db.createUser(username, passwordHash);
-    const token = jwt.sign({ id: user.id, username: user.username }, JWT_SECRET);
-    res.json({ token, username: user.username, id: user.id });
+    const user = mode === 'invite'
+      ? await db.createUserWithInvite(username, passwordHash, formatOneTimeCode(inviteCode))
+      : await db.createUser(username, passwordHash);
+    if (!user) return res.status(400).json({ error: 'That invite code is invalid, expired or used up' });
+    res.json(await startSession(user, req));
   } catch (err) {
     if (err.code === '23505') return res.status(400).json({ error: 'That username is already taken' });
     console.error(err); res.status(500).json({ error: 'Server error' });
   }
 });
 
-app.post('/api/login', async (req, res) => {
+app.post('/api/login', limitRoute(limiters.auth), async (req, res) => {
   const { username, password } = req.body;
   if (!username || !password) return res.status(400).json({ error: 'Username and password are required' });
+  if (impossibleUsername(username)) return res.status(401).json({ error: 'Invalid username or password' });
   try {
+    const keys = loginKeys(req, username);
+    if (await loginBlocked(res, keys)) return;
     const user = await db.getUserByUsername(username);
-    if (!user) return res.status(401).json({ error: 'Invalid username or password' });
-    if (user.is_banned) return res.status(403).json({ error: 'Your account has been banned.' });
-    const valid = await bcrypt.compare(password, user.password_hash);
-    if (!valid) return res.status(401).json({ error: 'Invalid username or password' });
-    const token = jwt.sign({ id: user.id, username: user.username }, JWT_SECRET);
-    res.json({ token, username: user.username, id: user.id });
+    const valid = await bcrypt.compare(String(password), user?.password_hash || DUMMY_PASSWORD_HASH);
+    if (!user || !valid) {
+      await recordLoginFailure(keys);
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    await db.clearLoginFailures(keys[0]);
+    // Only someone with the right password learns about a ban
+    if (isBanned(user)) return res.status(403).json(banError(user));
+    res.json(await twoFactorChallenge(user) || await startSession(user, req));
+  } catch (err) {
+    console.error(err); res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Trade a refresh token for a new access token and a new refresh token
+app.post('/api/refresh', async (req, res) => {
+  try {
+    const found = await findSession(req.body.refreshToken);
+    if (!found) return res.status(401).json({ error: 'Session expired. Please log in again.' });
+    const { session, hash } = found;
+    // An already-used token coming back means it was copied: end the session for everyone holding it
+    if (hash === session.previous_hash) {
+      await db.revokeSession(session.id);
+      disconnectSession(session.id);
+      return res.status(401).json({ error: 'Session expired. Please log in again.' });
+    }
+    const user = await db.getUserById(session.user_id);
+    if (!user) return res.status(401).json({ error: 'Session expired. Please log in again.' });
+    if (isBanned(user)) {
+      await db.revokeSession(session.id);
+      return res.status(403).json(banError(user));
+    }
+    const secret = crypto.randomBytes(32).toString('hex');
+    const rotated = await db.rotateSession(session.id, hash, hashToken(secret), refreshExpiry());
+    if (!rotated) return res.status(401).json({ error: 'Session expired. Please log in again.' });
+    res.json({ token: accessToken(user, session.id), refreshToken: `${session.id}.${secret}` });
   } catch (err) {
     console.error(err); res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Takes the refresh token rather than the access token, so it works after the
+// access token has expired
+app.post('/api/logout', async (req, res) => {
+  try {
+    const found = await findSession(req.body.refreshToken);
+    if (found && [found.session.token_hash, found.session.previous_hash].includes(found.hash)) {
+      await db.revokeSession(found.session.id);
+      disconnectSession(found.session.id);
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err); res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// ─── Password routes ──────────────────────────────────────────────────────────
+// Change my password. Every other session is logged out; this one stays.
+app.put('/api/password', requireAuth, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const invalid = validatePassword(newPassword);
+  if (invalid) return res.status(400).json({ error: invalid });
+  try {
+    const valid = await bcrypt.compare(String(currentPassword || ''), await db.getPasswordHash(req.user.id));
+    if (!valid) return res.status(403).json({ error: 'Current password is incorrect' });
+    await db.setPassword(req.user.id, await bcrypt.hash(newPassword, 10));
+    const revoked = await db.revokeUserSessions(req.user.id, req.user.sid);
+    for (const sessionId of revoked) disconnectSession(sessionId);
+    res.json({ success: true, revoked: revoked.length });
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// Set a new password with a code from an admin. Ends every existing session
+// and logs in a fresh one, like /api/login.
+app.post('/api/password/reset', limitRoute(limiters.auth), async (req, res) => {
+  const { username, code, newPassword } = req.body;
+  if (!username || !code) return res.status(400).json({ error: 'Username and reset code are required' });
+  const invalid = validatePassword(newPassword);
+  if (invalid) return res.status(400).json({ error: invalid });
+  if (impossibleUsername(username)) return res.status(400).json({ error: 'That reset code is invalid or has expired' });
+  try {
+    const keys = loginKeys(req, username);
+    if (await loginBlocked(res, keys)) return;
+    const user = await db.getUserByUsername(username);
+    if (!user || !await db.redeemPasswordReset(user.id, hashOneTimeCode(code))) {
+      await recordLoginFailure(keys);
+      return res.status(400).json({ error: 'That reset code is invalid or has expired' });
+    }
+    await db.clearLoginFailures(keys[0]);
+    await db.setPassword(user.id, await bcrypt.hash(newPassword, 10));
+    for (const sessionId of await db.revokeUserSessions(user.id)) disconnectSession(sessionId);
+    if (isBanned(user)) return res.status(403).json(banError(user));
+    res.json(await twoFactorChallenge(user) || await startSession(user, req));
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// ─── Two-factor authentication ────────────────────────────────────────────────
+// Optional TOTP (authenticator app) codes on top of the password. With 2FA on,
+// a correct password gets a short-lived challenge token instead of a session,
+// and /api/login/2fa trades it plus a code for the session. Admins and owners
+// can be made to enroll (require_admin_2fa); they do it as part of logging in.
+function adminRoles() {
+  return ROLE_RANK.slice(ROLE_RANK.indexOf('admin'));
+}
+
+async function mustUseTwoFactor(user) {
+  return adminRoles().includes(user.role) && await getSetting('require_admin_2fa');
+}
+
+// After a correct password: what the client must do next, or null to log straight in.
+// `twoFactor` is 'verify' (enter a code) or 'setup' (enroll first).
+async function twoFactorChallenge(user) {
+  const step = user.totp_enabled ? 'verify' : await mustUseTwoFactor(user) ? 'setup' : null;
+  if (!step) return null;
+  const challenge = jwt.sign({ id: user.id, purpose: 'login-2fa' }, JWT_SECRET, { expiresIn: '10m' });
+  return { twoFactor: step, challenge };
+}
+
+// The user a login challenge was issued to (with their 2FA state), or null if it's bad or stale
+async function challengeUser(challenge) {
+  let payload;
+  try { payload = jwt.verify(String(challenge), JWT_SECRET); } catch { return null; }
+  if (payload.purpose !== 'login-2fa') return null;
+  const user = await db.getUserById(payload.id);
+  return user && { ...user, ...await db.getTotp(user.id) };
+}
+
+// A TOTP code or an unused recovery code. Each works once.
+async function checkSecondFactor(userId, code) {
+  const { totp_secret } = await db.getTotp(userId);
+  const step = totp_secret ? verifyTotp(totp_secret, code) : null;
+  if (step !== null) return db.useTotpStep(userId, step);
+  return db.useRecoveryCode(userId, hashOneTimeCode(code));
+}
+
+// A fresh secret to scan; it only takes effect once confirmed with enableTwoFactor
+async function startTwoFactorSetup(user) {
+  const secret = generateSecret();
+  await db.setPendingTotp(user.id, secret);
+  const uri = otpauthUri(secret, user.username, TOTP_ISSUER);
+  return { secret, uri, qr: await QRCode.toDataURL(uri) };
+}
+
+// Confirm enrollment with a first code. Returns the new recovery codes, or null if the code is wrong.
+async function enableTwoFactor(userId, code) {
+  const { totp_secret, totp_enabled } = await db.getTotp(userId);
+  const step = totp_secret && !totp_enabled ? verifyTotp(totp_secret, code) : null;
+  if (step === null) return null;
+  const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, newOneTimeCode);
+  await db.enableTotp(userId, step, recoveryCodes.map(hashOneTimeCode));
+  return recoveryCodes;
+}
+
+// Second login step: { challenge, code }
+app.post('/api/login/2fa', limitRoute(limiters.auth), async (req, res) => {
+  try {
+    const user = await challengeUser(req.body.challenge);
+    if (!user?.totp_enabled) return res.status(401).json({ error: 'Login expired. Please start again.' });
+    const keys = loginKeys(req, user.username);
+    if (await loginBlocked(res, keys)) return;
+    if (!await checkSecondFactor(user.id, req.body.code)) {
+      await recordLoginFailure(keys);
+      return res.status(401).json({ error: 'That code is not valid' });
+    }
+    await db.clearLoginFailures(keys[0]);
+    if (isBanned(user)) return res.status(403).json(banError(user));
+    res.json(await startSession(user, req));
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// Enrolling while logging in, when 2FA is required but not set up yet
+app.post('/api/login/2fa/setup', limitRoute(limiters.auth), async (req, res) => {
+  try {
+    const user = await challengeUser(req.body.challenge);
+    if (!user || user.totp_enabled) return res.status(401).json({ error: 'Login expired. Please start again.' });
+    res.json(await startTwoFactorSetup(user));
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+app.post('/api/login/2fa/enable', limitRoute(limiters.auth), async (req, res) => {
+  try {
+    const user = await challengeUser(req.body.challenge);
+    if (!user || user.totp_enabled) return res.status(401).json({ error: 'Login expired. Please start again.' });
+    if (isBanned(user)) return res.status(403).json(banError(user));
+    const recoveryCodes = await enableTwoFactor(user.id, req.body.code);
+    if (!recoveryCodes) return res.status(400).json({ error: 'That code is not valid' });
+    res.json({ ...await startSession(user, req), recoveryCodes });
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// My 2FA state for the settings screen
+app.get('/api/2fa', requireAuth, async (req, res) => {
+  try {
+    const user = await db.getUserById(req.user.id);
+    const { totp_enabled } = await db.getTotp(req.user.id);
+    res.json({
+      enabled: totp_enabled,
+      recoveryCodesLeft: totp_enabled ? await db.countRecoveryCodes(req.user.id) : 0,
+      required: await mustUseTwoFactor(user)
+    });
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+app.post('/api/2fa/setup', requireAuth, async (req, res) => {
+  try {
+    const user = await db.getUserById(req.user.id);
+    if ((await db.getTotp(user.id)).totp_enabled) return res.status(400).json({ error: 'Two-factor authentication is already on' });
+    res.json(await startTwoFactorSetup(user));
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+app.post('/api/2fa/enable', requireAuth, async (req, res) => {
+  try {
+    const recoveryCodes = await enableTwoFactor(req.user.id, req.body.code);
+    if (!recoveryCodes) return res.status(400).json({ error: 'That code is not valid' });
+    res.json({ recoveryCodes });
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// Turning 2FA off, or getting new recovery codes, needs the password again
+async function checkPassword(userId, password) {
+  return bcrypt.compare(String(password || ''), await db.getPasswordHash(userId));
+}
+
+app.post('/api/2fa/disable', requireAuth, async (req, res) => {
+  try {
+    const user = await db.getUserById(req.user.id);
+    if (await mustUseTwoFactor(user)) return res.status(403).json({ error: `Two-factor authentication is required for ${user.role}s` });
+    if (!await checkPassword(user.id, req.body.password)) return res.status(403).json({ error: 'Password is incorrect' });
+    await db.disableTotp(user.id);
+    res.json({ success: true });
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+app.post('/api/2fa/recovery-codes', requireAuth, async (req, res) => {
+  try {
+    if (!(await db.getTotp(req.user.id)).totp_enabled) return res.status(400).json({ error: 'Two-factor authentication is off' });
+    if (!await checkPassword(req.user.id, req.body.password)) return res.status(403).json({ error: 'Password is incorrect' });
+    const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, newOneTimeCode);
+    await db.setRecoveryCodes(req.user.id, recoveryCodes.map(hashOneTimeCode));
+    res.json({ recoveryCodes });
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// ─── Session routes ───────────────────────────────────────────────────────────
+// Where I'm logged in. `current` is the session making the request; `online`
+// counts its open sockets (tabs).
+app.get('/api/sessions', requireAuth, async (req, res) => {
+  try {
+    const sockets = [...io.sockets.sockets.values()];
+    const sessions = await db.getUserSessions(req.user.id);
+    res.json(sessions.map(session => ({
+      ...session,
+      current: session.id === req.user.sid,
+      online: sockets.filter(s => s.sessionId === session.id).length
+    })));
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// Log one of my sessions out; its open tabs are disconnected straight away
+app.delete('/api/sessions/:id', requireAuth, async (req, res) => {
+  try {
+    const session = await db.getSession(Number(req.params.id));
+    if (!session || session.user_id !== req.user.id || session.revoked_at) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    await db.revokeSession(session.id);
+    disconnectSession(session.id);
+    res.json({ success: true });
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// "Log out everywhere else": every session but the one making the request
+app.delete('/api/sessions', requireAuth, async (req, res) => {
+  try {
+    const revoked = await db.revokeUserSessions(req.user.id, req.user.sid);
+    for (const sessionId of revoked) disconnectSession(sessionId);
+    res.json({ success: true, revoked: revoked.length });
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// ─── Account routes ───────────────────────────────────────────────────────────
+// A copy of everything stored about me, as a JSON download
+app.get('/api/me/export', requireAuth, async (req, res) => {
+  try {
+    const data = await db.getUserExport(req.user.id);
+    if (!data) return res.status(404).json({ error: 'User not found' });
+    const { avatar_attachment_id, ...profile } = data.profile;
+    const withUrl = m => ({ ...m, attachment: attachmentInfo(m.attachment) });
+    res.attachment(`${profile.username}-export.json`);
+    res.json({
+      exportedAt: new Date(), ...data,
+      profile: { ...profile, avatar_url: attachmentUrl(avatar_attachment_id) },
+      messages: data.messages.map(withUrl),
+      directMessages: data.directMessages.map(withUrl)
+    });
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// What deleting my account would do to my messages: 'anonymize' or 'delete'
+app.get('/api/me/deletion-policy', requireAuth, async (req, res) => {
+  try { res.json({ messages: await getSetting('deleted_account_messages') }); }
+  catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// Delete my account: { password }. My messages are kept without an author or
+// deleted, per the deleted_account_messages setting. Every tab I have open is logged out.
+app.delete('/api/me', requireAuth, async (req, res) => {
+  try {
+    const user = await db.getUserById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.role === 'owner') return res.status(403).json({ error: "Owners can't delete their account" });
+    if (!await checkPassword(user.id, req.body.password)) return res.status(403).json({ error: 'Password is incorrect' });
+    const removeMessages = await getSetting('deleted_account_messages') === 'delete';
+    const avatarKeys = await db.deleteUser(user.id, removeMessages);
+    for (const key of avatarKeys) storage.remove(key).catch(err => console.error('Storage error:', err));
+    for (const socketId of userSockets.get(user.id) || []) {
+      const s = io.sockets.sockets.get(socketId);
+      if (s) { s.emit('logged_out'); s.disconnect(); }
+    }
+    io.emit('account_deleted', { userId: user.id, messagesRemoved: removeMessages });
+    io.emit('users_list', await getPublicUsers());
+    res.json({ success: true });
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
 // ─── Socket.io ────────────────────────────────────────────────────────────────
 const userSockets = new Map();
 
+// Send an event to every open tab/device of one user
+function emitToUser(userId, event, data) {
+  for (const socketId of userSockets.get(userId) || []) {
+    io.sockets.sockets.get(socketId)?.emit(event, data);
+  }
+}
+
+// Subscribe every open tab/device of one user to a socket.io room
+function joinUserSockets(userId, room) {
+  for (const socketId of userSockets.get(userId) || []) {
+    io.sockets.sockets.get(socketId)?.join(room);
+  }
+}
+
+// Live sockets keep a copy of their user row; reload it after changing the row
+async function refreshSocketUsers(userId) {
+  const user = await db.getUserById(userId);
+  for (const socketId of userSockets.get(userId) || []) {
+    const s = io.sockets.sockets.get(socketId);
+    if (s?.user) s.user = user;
+  }
+  return user;
+}
+
+function leaveUserSockets(userId, room) {
+  for (const socketId of userSockets.get(userId) || []) {
+    io.sockets.sockets.get(socketId)?.leave(room);
+  }
+}
+
+// ─── Presence ─────────────────────────────────────────────────────────────────
+// What everyone else sees: online/away/dnd/offline. Invisible users and users
+// with no open sockets look offline; an "online" user whose every tab reports
+// idle shows as away.
+function presenceOf(user) {
+  const sockets = [...(userSockets.get(user.id) || [])];
+  if (sockets.length === 0 || user.status === 'invisible') return 'offline';
+  if (user.status === 'dnd' || user.status === 'away') return user.status;
+  return sockets.every(id => io.sockets.sockets.get(id)?.idle) ? 'away' : 'online';
+}
+
+function presencePayload(user) {
+  const presence = presenceOf(user);
+  const textActive = user.status_text && (!user.status_expires_at || new Date(user.status_expires_at) > new Date());
+  return {
+    id: user.id,
+    presence,
+    status_text: textActive && user.status !== 'invisible' ? user.status_text : null,
+    last_seen: user.last_seen
+  };
+}
+
+// A user list safe to send to anyone: the picked status (which could be
+// "invisible") is replaced by the presence others are allowed to see
+function publicUser(user) {
+  const { status, status_text, status_expires_at, ban_reason, mute_reason, avatar_attachment_id, ...rest } = user;
+  return { ...rest, avatar_version: avatarVersion(avatar_attachment_id), ...presencePayload(user) };
+}
+
+async function getPublicUsers() {
+  return (await db.getAllUsers()).map(publicUser);
+}
+
+async function broadcastPresence(userId) {
+  const user = await db.getUserById(userId);
+  if (!user) return;
+  io.emit('presence', presencePayload(user));
+  // The user's own tabs get the real settings for the status picker
+  emitToUser(userId, 'my_status', {
+    status: user.status, status_text: user.status_text, status_expires_at: user.status_expires_at
+  });
+}
+
+// Clear custom status lines as they expire
+setInterval(async () => {
+  try {
+    for (const userId of await db.clearExpiredStatuses()) await broadcastPresence(userId);
+  } catch (err) { console.error('Status expiry error:', err); }
+}, 60_000);
+
+// Lift timed bans and mutes as they run out
+setInterval(async () => {
+  try {
+    const { unbanned, unmuted } = await db.liftExpiredSanctions();
+    for (const userId of unbanned) await db.addAuditEntry(null, 'unban', 'user', userId, 'Ban expired');
+    for (const userId of unmuted) {
+      await db.addAuditEntry(null, 'unmute', 'user', userId, 'Mute expired');
+      await refreshSocketUsers(userId);
+      emitToUser(userId, 'muted', null);
+    }
+    if (unbanned.length || unmuted.length) io.emit('users_list', await getPublicUsers());
+  } catch (err) { console.error('Sanction expiry error:', err); }
+}, 60_000);
+
+// Tell a room this socket stopped typing there (explicitly, by timeout, on send or on disconnect)
+function stopTyping(socket, room) {
+  const timer = socket.typingTimers.get(room);
+  if (!timer) return;
+  clearTimeout(timer);
+  socket.typingTimers.delete(room);
+  io.to(room).emit('typing', { room, userId: socket.user.id, username: socket.user.username, typing: false });
+}
+
+// Deliver a thread reply to the sockets in its room that either have the
+// thread open or belong to someone who took part in it
+function emitThreadMessage(room, participantIds, message) {
+  for (const socketId of io.sockets.adapter.rooms.get(room) || []) {
+    const s = io.sockets.sockets.get(socketId);
+    if (s?.openThread === message.parent_id || participantIds.includes(s?.user?.id)) {
+      s.emit('thread_message', message);
+    }
+  }
+}
+
+async function emitThreadUpdated(room, parentId) {
+  io.to(room).emit('thread_updated', { messageId: parentId, ...await db.getThreadSummary(parentId) });
+}
+
+// DM rooms are named dm:<lowId>:<highId> and only those two users may use them.
+// Anything else must be an existing, non-archived channel, and private
+// channels are limited to their members.
+async function canAccessRoom(user, room) {
+  if (typeof room !== 'string') return false;
+  if (room.startsWith('dm:')) {
+    const [, id1, id2] = room.split(':').map(Number);
+    return user.id === id1 || user.id === id2;
+  }
+  const channel = await db.getRoomBySlug(room);
+  if (!channel || channel.archived) return false;
+  if (!channel.is_private) return true;
+  return !!await db.getRoomMember(room, user.id);
+}
+
+// A permission inside one room: from the user's site-wide role, or from their
+// role in that channel. DMs have no channel roles.
+async function canInRoom(user, permission, room) {
+  if (hasPermission(user.role, permission)) return true;
+  if (typeof room !== 'string' || room.startsWith('dm:')) return false;
+  const member = await db.getRoomMember(room, user.id);
+  return hasRoomPermission(user.role, member?.role, permission);
+}
+
+// What the client needs to show the right controls
+function permissionsPayload(user) {
+  return { role: user.role, permissions: ROLES[user.role] || [], roleRank: ROLE_RANK, roomRoles: ROOM_ROLES };
+}
+
+// Message ids are SERIAL (int32); anything outside that would make pg throw
+function isMessageId(value) {
+  return Number.isInteger(value) && value > 0 && value <= 2147483647;
+}
+
+// Earlier versions of an edited message, per EDIT_HISTORY_VISIBILITY
+function canViewEditHistory(user, msg) {
+  if (hasPermission(user.role, 'message.view_edits') || EDIT_HISTORY_VISIBILITY === 'everyone') return true;
+  return EDIT_HISTORY_VISIBILITY === 'author' && msg.sender_id === user.id;
+}
+
 io.on('connection', (socket) => {
+  socket.typingTimers = new Map(); // room -> expiry timer, while this socket is typing there
 
   socket.on('authenticate', async (token) => {
     try {
-      const decoded = jwt.verify(token, JWT_SECRET);
+      const decoded = await verifyAccessToken(token);
       const user = await db.getUserById(decoded.id);
       if (!user) throw new Error('User not found');
-      if (user.is_banned) { socket.emit('banned'); return; }
+      if (isBanned(user)) { socket.emit('banned', banInfo(user)); return; }
 
       socket.user = user;
+      socket.sessionId = decoded.sid;
+      armTokenExpiry(socket, decoded.exp);
+      await db.touchSession(decoded.sid, socketIp(socket));
       if (!userSockets.has(user.id)) userSockets.set(user.id, new Set());
       userSockets.get(user.id).add(socket.id);
 
-      socket.join('general');
-      socket.emit('authenticated', { success: true, isAdmin: user.is_admin });
-      io.emit('user_online', {
-        id: user.id, username: user.username,
-        avatar_color: user.avatar_color, avatar_emoji: user.avatar_emoji, avatar_image: user.avatar_image
+      await db.joinRoom(DEFAULT_ROOM, user.id);
+      const rooms = await db.getRoomsForUser(user.id);
+      for (const room of rooms) if (room.is_member) socket.join(room.slug);
+      socket.emit('authenticated', {
+        success: true, ...permissionsPayload(user), editHistory: EDIT_HISTORY_VISIBILITY, muted: muteInfo(user)
       });
-      socket.emit('users_list', await db.getAllUsers());
-    } catch {
-      socket.emit('authenticated', { success: false, error: 'Invalid token' });
+      socket.emit('rooms_list', rooms);
+      socket.emit('unread_counts', await db.getUnreadCounts(user.id));
+      socket.emit('users_list', await getPublicUsers());
+      await broadcastPresence(user.id);
+    } catch (err) {
+      const expired = err.name === 'TokenExpiredError';
+      socket.emit('authenticated', { success: false, error: expired ? 'Token expired' : 'Invalid token', expired });
     }
   });
 
-  socket.on('get_messages', async (room) => {
+  // A refreshed access token for an already-authenticated socket
+  socket.on('reauthenticate', async (token) => {
     if (!socket.user) return;
-    if (room.startsWith('dm:')) {
-      const [, id1, id2] = room.split(':').map(Number);
-      if (socket.user.id !== id1 && socket.user.id !== id2) return;
+    try {
+      const decoded = await verifyAccessToken(token);
+      if (decoded.id !== socket.user.id) throw new Error('Different user');
+      socket.sessionId = decoded.sid;
+      armTokenExpiry(socket, decoded.exp);
+    } catch {
+      socket.emit('token_expired');
+      socket.disconnect();
     }
-    socket.emit('message_history', { room, messages: await db.getMessages(room) });
   });
 
-  socket.on('join_room', (room) => { if (socket.user) socket.join(room); });
+  // Accepts a room name (newest page), { room, before } to page further back,
+  // or { room, around } to open the history at one message (search results)
+  socket.on('get_messages', async (payload) => {
+    if (!socket.user) return;
+    const { room, before, around } = typeof payload === 'string' ? { room: payload } : payload || {};
+    // No message has an id like that, and pg would throw on it
+    if ((Number.isInteger(before) && !isMessageId(before)) || (Number.isInteger(around) && !isMessageId(around))) return;
+    try {
+      if (!await canAccessRoom(socket.user, room)) return;
+      if (Number.isInteger(around)) {
+        const page = await db.getMessagesAround(room, around);
+        socket.emit('message_history', { room, ...page, messages: page.messages.map(messagePayload), before: null, around });
+        return;
+      }
+      const cursor = Number.isInteger(before) ? before : null;
+      const { messages, hasMore } = await db.getMessages(room, cursor);
+      // The first page also says where the user stopped reading, for the "New messages" line
+      const lastReadMessageId = cursor ? undefined : await db.getLastRead(socket.user.id, room);
+      socket.emit('message_history', { room, messages: messages.map(messagePayload), before: cursor, hasMore, lastReadMessageId });
+    } catch (err) { console.error('History error:', err); }
+  });
+
+  // The client read up to messageId; every tab/device of this user clears its badge
+  socket.on('mark_read', async (payload) => {
+    const { room, messageId } = payload || {};
+    if (!socket.user || !isMessageId(messageId)) return;
+    try {
+      if (!await canAccessRoom(socket.user, room)) return;
+      const lastReadMessageId = await db.markRead(socket.user.id, room, messageId);
+      emitToUser(socket.user.id, 'read_state', { room, lastReadMessageId });
+    } catch (err) { console.error('Read state error:', err); }
+  });
 
-  // ── Send message (now supports optional image) ────────────────────────────
-  socket.on('send_message', async ({ room, content, imageData }) => {
+  // Opening a channel joins it (and remembers that across devices)
+  socket.on('join_room', async (room) => {
     if (!socket.user) return;
-    if (!content?.trim() && !imageData) return; // must have text or image
+    try {
+      if (!await canAccessRoom(socket.user, room)) return;
+      if (room.startsWith('dm:')) { socket.join(room); return; }
+      await db.joinRoom(room, socket.user.id);
+      joinUserSockets(socket.user.id, room);
+      emitToUser(socket.user.id, 'rooms_list', await db.getRoomsForUser(socket.user.id));
+    } catch (err) { console.error('Join error:', err); }
+  });
 
-    // Reject suspiciously large images (over ~3MB of base64)
-    if (imageData && imageData.length > 3_000_000) {
-      socket.emit('error', 'Image is too large. Please use a smaller image.');
-      return;
-    }
+  socket.on('leave_room', async (room) => {
+    if (!socket.user) return;
+    try {
+      if (typeof room !== 'string' || room === DEFAULT_ROOM || room.startsWith('dm:')) return;
+      await db.leaveRoom(room, socket.user.id);
+      leaveUserSockets(socket.user.id, room);
+      emitToUser(socket.user.id, 'rooms_list', await db.getRoomsForUser(socket.user.id));
+    } catch (err) { console.error('Leave error:', err); }
+  });
 
-    if (room.startsWith('dm:')) {
-      const [, id1, id2] = room.split(':').map(Number);
-      if (socket.user.id !== id1 && socket.user.id !== id2) return;
+  // The client reports when its tab has had no activity for a while
+  socket.on('set_idle', async (idle) => {
+    if (!socket.user || socket.idle === !!idle) return;
+    socket.idle = !!idle;
+    try { await broadcastPresence(socket.user.id); }
+    catch (err) { console.error('Presence error:', err); }
+  });
+
+  // ── Typing indicators ─────────────────────────────────────────────────────
+  // Clients resend typing_start every few seconds while typing. Only rooms this
+  // socket was already let into count, so this needs no database lookup.
+  socket.on('typing_start', (room) => {
+    if (!socket.user || !socket.rooms.has(room) || isMuted(socket.user)) return;
+    const alreadyTyping = socket.typingTimers.has(room);
+    clearTimeout(socket.typingTimers.get(room));
+    socket.typingTimers.set(room, setTimeout(() => stopTyping(socket, room), TYPING_TIMEOUT_MS));
+    if (!alreadyTyping) {
+      socket.to(room).emit('typing', { room, userId: socket.user.id, username: socket.user.username, typing: true });
     }
+  });
+
+  socket.on('typing_stop', (room) => { if (socket.user) stopTyping(socket, room); });
 
+  // ── Threads ───────────────────────────────────────────────────────────────
+  // The client has one thread panel; remember which so replies reach it
+  socket.on('open_thread', async (parentId) => {
+    if (!socket.user) return;
     try {
-      const saved = await db.saveMessage(socket.user.id, room, content?.trim() || '', imageData || null);
+      const thread = await db.getThread(parentId);
+      if (!thread || !await canAccessRoom(socket.user, thread.parent.room)) return;
+      socket.openThread = thread.parent.id;
+      socket.emit('thread_history', { parent: messagePayload(thread.parent), replies: thread.replies.map(messagePayload) });
+    } catch (err) { console.error('Thread error:', err); }
+  });
+
+  socket.on('close_thread', () => { socket.openThread = null; });
+
+  // ── Send message (optional attachment; parentId makes it a thread reply) ──
+  // Files are uploaded first (POST /api/attachments); the message refers to one by id
+  socket.on('send_message', async ({ room, content, attachmentId, parentId }) => {
+    if (!socket.user || isMuted(socket.user)) return;
+    if (!content?.trim() && !attachmentId) return; // must have text or an attachment
+    if (throttled(socket, limiters.message, 'send_message')) return;
+
+    try {
+      if (!await canAccessRoom(socket.user, room)) return;
+      const slowWait = await slowModeWait(socket.user, room);
+      if (slowWait) {
+        socket.emit('rate_limited', { event: 'send_message', room, retryAfter: slowWait, slowMode: true });
+        return;
+      }
+
+      // Replies go on top-level messages in the same room (no nested threads)
+      if (parentId) {
+        const parent = await db.getMessageMeta(parentId);
+        if (!parent || parent.room !== room || parent.parent_id || parent.deleted_at) return;
+      }
+
+      // Only the uploader can send an attachment, and only once
+      const attachment = attachmentId ? await db.getUnusedAttachment(attachmentId, socket.user.id) : null;
+      if (attachmentId && !attachment) {
+        socket.emit('error', 'That attachment is no longer available. Please attach it again.');
+        return;
+      }
+
+      const saved = await db.saveMessage(socket.user.id, room, content?.trim() || '', attachment?.id, parentId);
       const messageData = {
         id: saved.id,
         sender_id: socket.user.id,
         sender_username: socket.user.username,
         avatar_color: socket.user.avatar_color,
         avatar_emoji: socket.user.avatar_emoji,
-        avatar_image: socket.user.avatar_image,
+        avatar_version: avatarVersion(socket.user.avatar_attachment_id),
         room, content: content?.trim() || '',
-        image_data: imageData || null,
+        attachment: attachmentInfo(attachment),
         edited: false,
+        parent_id: parentId || null,
         reactions: [],
+        reply_count: 0,
         created_at: saved.created_at
       };
 
       if (room.startsWith('dm:')) {
         const [, id1, id2] = room.split(':').map(Number);
         const recipientId = socket.user.id === id1 ? id2 : id1;
-        for (const socketId of userSockets.get(recipientId) || []) {
-          io.sockets.sockets.get(socketId)?.join(room);
-        }
+        joinUserSockets(recipientId, room);
+      }
+      stopTyping(socket, room);
+      if (parentId) {
+        emitThreadMessage(room, await db.getThreadParticipants(parentId), messageData);
+        await emitThreadUpdated(room, parentId);
+      } else {
+        io.to(room).emit('message', messageData);
       }
-      io.to(room).emit('message', messageData);
     } catch (err) { console.error('Send error:', err); }
   });
 
   // ── Edit message ──────────────────────────────────────────────────────────
   socket.on('edit_message', async ({ messageId, content }) => {
-    if (!socket.user || !content?.trim()) return;
+    if (!socket.user || !content?.trim() || isMuted(socket.user)) return;
+    if (throttled(socket, limiters.message, 'edit_message')) return;
     try {
+      if (!await canAccessRoom(socket.user, await db.getMessageRoom(messageId))) return;
       const msg = await db.editMessage(messageId, socket.user.id, content.trim());
       if (!msg) return;
-      io.to(msg.room).emit('message_edited', { messageId, content: content.trim() });
+      io.to(msg.room).emit('message_edited', { messageId, content: content.trim(), senderId: socket.user.id });
     } catch (err) { console.error('Edit error:', err); }
   });
 
+  // Every version of an edited message, for the "(edited)" timeline
+  socket.on('get_message_history', async (messageId) => {
+    if (!socket.user) return;
+    try {
+      const msg = await db.getMessageMeta(messageId);
+      if (!msg || !await canAccessRoom(socket.user, msg.room) || !canViewEditHistory(socket.user, msg)) return;
+      // Its text is gone for everyone but those who can restore it
+      if (msg.deleted_at && !hasPermission(socket.user.role, 'message.restore')) return;
+      socket.emit('message_revisions', { messageId: msg.id, revisions: await db.getMessageRevisions(msg.id) });
+    } catch (err) { console.error('Edit history error:', err); }
+  });
+
   // ── Delete message ────────────────────────────────────────────────────────
-  socket.on('delete_message', async ({ messageId }) => {
+  // Admins deleting someone else's message may pass a reason for the audit log
+  socket.on('delete_message', async ({ messageId, reason }) => {
     if (!socket.user) return;
     try {
-      const msg = await db.deleteMessage(messageId, socket.user.id, socket.user.is_admin);
+      const room = await db.getMessageRoom(messageId);
+      if (!await canAccessRoom(socket.user, room)) return;
+      const canDeleteAny = await canInRoom(socket.user, 'message.delete_any', room);
+      const msg = await db.deleteMessage(messageId, socket.user.id, canDeleteAny);
       if (!msg) return;
+      if (msg.sender_id !== socket.user.id) {
+        await db.addAuditEntry(socket.user.id, 'delete_message', 'message', msg.id, auditReason(reason),
+          { room: msg.room, sender_id: msg.sender_id });
+      }
       io.to(msg.room).emit('message_deleted', { messageId });
+      if (msg.parent_id) await emitThreadUpdated(msg.room, msg.parent_id);
     } catch (err) { console.error('Delete error:', err); }
   });
 
   // ── React to a message ────────────────────────────────────────────────────
   socket.on('toggle_reaction', async ({ messageId, emoji }) => {
-    if (!socket.user) return;
+    if (!socket.user || isMuted(socket.user)) return;
+    if (throttled(socket, limiters.reaction, 'toggle_reaction')) return;
     try {
+      const msg = await db.getMessageMeta(messageId);
+      if (!msg || msg.deleted_at || !await canAccessRoom(socket.user, msg.room)) return;
+      const { room } = msg;
       await db.toggleReaction(messageId, socket.user.id, emoji);
       const reactions = await db.getReactionsForMessage(messageId);
-      const room = await db.getMessageRoom(messageId);
-      if (room) io.to(room).emit('reaction_updated', { messageId, reactions });
+      io.to(room).emit('reaction_updated', { messageId, reactions });
     } catch (err) { console.error('Reaction error:', err); }
   });
 
-  socket.on('disconnect', () => {
+  socket.on('disconnect', async () => {
+    clearTimeout(socket.tokenTimer);
     if (!socket.user) return;
+    for (const room of [...socket.typingTimers.keys()]) stopTyping(socket, room);
     const sockets = userSockets.get(socket.user.id);
-    if (sockets) {
-      sockets.delete(socket.id);
-      if (sockets.size === 0) {
-        userSockets.delete(socket.user.id);
-        io.emit('user_offline', { id: socket.user.id });
+    if (!sockets) return;
+    sockets.delete(socket.id);
+    if (sockets.size === 0) userSockets.delete(socket.user.id);
+    try {
+      if (sockets.size === 0) await db.touchLastSeen(socket.user.id);
+      await broadcastPresence(socket.user.id); // last tab closing, or the rest are all idle
+    } catch (err) { console.error('Presence error:', err); }
+  });
+});
+
+// ─── Attachments ──────────────────────────────────────────────────────────────
+// Files are uploaded on their own, stored by the storage driver (storage.js),
+// and then referred to by id from a message or an avatar. Browsers fetch them
+// from signed URLs: <img> tags can't send our bearer token, so the server
+// hands out a URL only to people allowed to see the file, and the signature
+// runs out after a day or two. Images are checked and re-encoded on the way
+// in (images.js) and get a thumbnail next to the full-size file; any other
+// file is kept as it is and only ever served as a download.
+const storage = createStorage();
+const MB = 1024 * 1024;
+// Size limits by kind of file, picked by extension
+const FILE_KINDS = [
+  { label: 'Images', maxBytes: 5 * MB, extensions: ['png', 'jpg', 'jpeg', 'gif', 'webp'], image: true },
+  { label: 'PDFs', maxBytes: 20 * MB, extensions: ['pdf'] },
+  { label: 'Text files', maxBytes: 5 * MB, extensions: ['txt', 'log', 'md', 'csv', 'tsv', 'json', 'xml', 'yaml', 'yml'] },
+  { label: 'Archives', maxBytes: 25 * MB, extensions: ['zip', 'gz', 'tgz', 'tar', 'bz2', 'xz', '7z', 'rar'] }
+];
+const OTHER_FILES = { label: 'Files', maxBytes: 10 * MB };
+const MAX_ATTACHMENT_BYTES = Math.max(OTHER_FILES.maxBytes, ...FILE_KINDS.map(kind => kind.maxBytes));
+const MAX_AVATAR_BYTES = 512 * 1024;
+const ATTACHMENT_URL_HOURS = 24;   // signatures last 24-48 hours
+const ORPHAN_ATTACHMENT_HOURS = 24; // uploads nothing uses are deleted after this
+
+// Browsers send file names as raw UTF-8
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_ATTACHMENT_BYTES, files: 1 }, defParamCharset: 'utf8' });
+
+// One signature covers both the file and its thumbnail
+function signAttachment(attachmentId, expires) {
+  return crypto.createHmac('sha256', JWT_SECRET).update(`attachment:${attachmentId}:${expires}`).digest('base64url');
+}
+
+// Expiry is rounded up to a whole window (plus one), so the URL stays the same
+// for a while and the browser can cache the file
+function attachmentUrl(attachmentId, variant = '') {
+  if (!attachmentId) return null;
+  const windowSeconds = ATTACHMENT_URL_HOURS * 60 * 60;
+  const expires = (Math.floor(Date.now() / 1000 / windowSeconds) + 2) * windowSeconds;
+  return `/api/attachments/${attachmentId}${variant}?expires=${expires}&sig=${signAttachment(attachmentId, expires)}`;
+}
+
+// What clients get for an attachment row or a message's attachment JSON.
+// Images come with their size so the preview can take its space before it loads.
+function attachmentInfo(attachment) {
+  if (!attachment) return null;
+  const { id, filename, content_type, size, width, height, thumbnail_key } = attachment;
+  return {
+    id, filename, content_type, size, width, height,
+    url: attachmentUrl(id),
+    thumbnail_url: thumbnail_key ? attachmentUrl(id, '/thumbnail') : null
+  };
+}
+
+// A message from the database as clients see it: attachment ids become URLs
+function messagePayload({ avatar_attachment_id, attachment, ...message }) {
+  return { ...message, avatar_version: avatarVersion(avatar_attachment_id), attachment: attachmentInfo(attachment) };
+}
+
+// Check and re-encode an image, then store it with its thumbnail. Resolves to
+// { attachment }, or { error } when the file isn't an image we accept.
+async function storeImage(uploaderId, filename, buffer) {
+  const { error, image, thumbnail } = await processImage(buffer);
+  if (error) return { error };
+  const key = newStorageKey(), thumbnailKey = newStorageKey();
+  await storage.put(key, image.buffer, image.contentType);
+  await storage.put(thumbnailKey, thumbnail.buffer, thumbnail.contentType);
+  // The extension matches what the file really is now
+  const name = `${path.parse(filename).name.slice(0, 200) || 'image'}.${image.extension}`;
+  const attachment = await db.createAttachment(key, uploaderId, name, image.contentType, image.buffer.length,
+    { width: image.width, height: image.height, thumbnailKey });
+  return { attachment };
+}
+
+// Store any other file byte for byte. The browser's type is only kept when it
+// looks like one and doesn't claim to be an image: image types are reserved for
+// files that went through processImage.
+async function storeFile(uploaderId, filename, contentType, buffer) {
+  const key = newStorageKey();
+  const type = /^[\w.+-]+\/[\w.+-]+$/.test(contentType) && !contentType.startsWith('image/') ? contentType : 'application/octet-stream';
+  await storage.put(key, buffer, type);
+  return db.createAttachment(key, uploaderId, filename.slice(0, 255), type, buffer.length);
+}
+
+function fileExtension(filename) {
+  return path.extname(filename).slice(1).toLowerCase();
+}
+
+// Why a file can't be attached (see file_extensions_allowed/denied), or null
+async function fileTypeError(extension) {
+  const denied = await getSetting('file_extensions_denied');
+  const allowed = await getSetting('file_extensions_allowed');
+  if (extension && denied.includes(extension)) return `.${extension} files can't be attached`;
+  if (allowed.length > 0 && !allowed.includes(extension)) {
+    return `Only these file types can be attached: ${allowed.map(ext => `.${ext}`).join(', ')}`;
+  }
+  return null;
+}
+
+// multer as a promise: resolves to the uploaded `file` field (or undefined)
+function receiveUpload(req, res) {
+  return new Promise((resolve, reject) => upload.single('file')(req, res, err => (err ? reject(err) : resolve(req.file))));
+}
+
+// Multipart upload with one `file` field. Returns the attachment to send with a message.
+app.post('/api/attachments', requireAuth, async (req, res) => {
+  let file;
+  try {
+    file = await receiveUpload(req, res);
+  } catch (err) {
+    if (err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: `Files can be up to ${MAX_ATTACHMENT_BYTES / MB}MB` });
+    return res.status(400).json({ error: 'Upload failed' });
+  }
+  if (!file) return res.status(400).json({ error: 'No file uploaded' });
+  const extension = fileExtension(file.originalname);
+  const kind = FILE_KINDS.find(k => k.extensions.includes(extension)) || OTHER_FILES;
+  if (file.size > kind.maxBytes) return res.status(413).json({ error: `${kind.label} can be up to ${kind.maxBytes / MB}MB` });
+  try {
+    const typeError = await fileTypeError(extension);
+    if (typeError) return res.status(400).json({ error: typeError });
+    if (!kind.image) return res.json(attachmentInfo(await storeFile(req.user.id, file.originalname, file.mimetype, file.buffer)));
+    // Images: the browser's idea of the type is ignored; processImage looks at the bytes
+    const { error, attachment } = await storeImage(req.user.id, file.originalname, file.buffer);
+    if (error) return res.status(400).json({ error });
+    res.json(attachmentInfo(attachment));
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// Download with a signed URL from attachmentUrl. Files never change, so
+// browsers may keep them until the signature runs out.
+app.get('/api/attachments/:id', (req, res) => sendAttachment(req, res, false));
+app.get('/api/attachments/:id/thumbnail', (req, res) => sendAttachment(req, res, true));
+
+async function sendAttachment(req, res, thumbnail) {
+  const id = Number(req.params.id);
+  const expires = Number(req.query.expires);
+  const expected = Buffer.from(signAttachment(id, expires));
+  const given = Buffer.from(String(req.query.sig || ''));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(403).json({ error: 'Invalid link' });
+  }
+  const maxAge = expires - Math.floor(Date.now() / 1000);
+  if (maxAge <= 0) return res.status(403).json({ error: 'This link has expired' });
+  try {
+    const attachment = await db.getAttachment(id);
+    const key = thumbnail ? attachment?.thumbnail_key : attachment?.storage_key;
+    if (!key) return res.status(404).json({ error: 'Attachment not found' });
+    res.set({
+      'Cache-Control': `private, max-age=${maxAge}, immutable`,
+      'ETag': `"${key}"`,
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': "default-src 'none'; sandbox"
+    });
+    if (req.fresh) return res.status(304).end();
+    const data = await storage.get(key);
+    if (!data) return res.status(404).json({ error: 'Attachment not found' });
+    // Anything but a checked image is a download, never opened in the page.
+    // filename= gets a plain-ASCII stand-in; browsers use the real name in filename*.
+    if (!thumbnail && !IMAGE_TYPES.includes(attachment.content_type)) {
+      res.set('Content-Disposition', contentDisposition(attachment.filename, { fallback: attachment.filename.replace(/[^\x20-\x7e]/g, '_') }));
+    }
+    res.type(thumbnail ? THUMBNAIL_TYPE : attachment.content_type).send(data);
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+}
+
+// Earlier versions kept images as base64 data URLs in messages.image_data and
+// users.avatar_image. Move them into storage at startup, a batch at a time,
+// checked and re-encoded like a new upload.
+async function migrateInlineImages() {
+  const kinds = [
+    { name: 'message image', load: db.getInlineMessageImages, move: db.moveInlineMessageImage },
+    { name: 'avatar', load: db.getInlineAvatars, move: db.moveInlineAvatar }
+  ];
+  for (const { name, load, move } of kinds) {
+    let moved = 0, dropped = 0;
+    for (let rows = await load(100); rows.length > 0; rows = await load(100)) {
+      for (const row of rows) {
+        const [, base64] = /^data:[\w.+-]+\/[\w.+-]+;base64,(.*)$/s.exec(row.data) || [];
+        const { attachment } = base64
+          ? await storeImage(row.owner_id, 'image', Buffer.from(base64, 'base64'))
+          : {}; // unreadable or unsafe; dropped rather than retried forever
+        await move(row.id, attachment?.id ?? null);
+        if (attachment) moved++; else dropped++;
       }
     }
-  });
+    if (moved || dropped) console.log(`Moved ${moved} ${name}(s) to attachment storage${dropped ? `, dropped ${dropped} unreadable` : ''}`);
+  }
+}
+
+// ─── Avatar routes ────────────────────────────────────────────────────────────
+// Each user's picture has one lasting URL, /api/avatars/:userId?v=<version>,
+// so browsers keep it between page loads and socket events only carry the
+// short version. Pictures are public, like usernames: <img> tags can't send
+// our token.
+
+// Changes whenever the picture does (null: no picture)
+function avatarVersion(attachmentId) {
+  if (!attachmentId) return null;
+  return crypto.createHash('sha256').update(`avatar:${attachmentId}`).digest('hex').slice(0, 12);
+}
+
+app.get('/api/avatars/:userId', async (req, res) => {
+  const userId = Number(req.params.userId);
+  if (!Number.isInteger(userId)) return res.status(404).json({ error: 'No profile picture' });
+  try {
+    const user = await db.getUserById(userId);
+    const attachment = user?.avatar_attachment_id && await db.getAttachment(user.avatar_attachment_id);
+    if (!attachment) return res.status(404).json({ error: 'No profile picture' });
+    const version = avatarVersion(attachment.id);
+    res.set({
+      // The URL for the current version never changes; any other has to check back
+      'Cache-Control': req.query.v === version ? 'public, max-age=31536000, immutable' : 'no-cache',
+      'ETag': `"${version}"`,
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': "default-src 'none'; sandbox"
+    });
+    if (req.fresh) return res.status(304).end();
+    // Avatars are shown small, so the thumbnail is plenty
+    const data = await storage.get(attachment.thumbnail_key || attachment.storage_key);
+    if (!data) return res.status(404).json({ error: 'No profile picture' });
+    res.type(attachment.thumbnail_key ? THUMBNAIL_TYPE : attachment.content_type).send(data);
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
 });
 
-// ─── Avatar route ─────────────────────────────────────────────────────────────
+// { color, emoji, imageId }: imageId is an uploaded image for the picture, null
+// to remove it, or left out to keep the current one
 app.put('/api/avatar', requireAuth, async (req, res) => {
-  const { color, emoji, image } = req.body;
+  const { color, emoji, imageId } = req.body;
   if (!/^#[0-9a-fA-F]{6}$/.test(color)) return res.status(400).json({ error: 'Invalid color' });
-  // Reject images over ~500KB of base64 (profile pictures)
-  if (image && image.length > 700_000) return res.status(400).json({ error: 'Profile picture too large' });
   try {
-    await db.updateUserAvatar(req.user.id, color, emoji || '', image || null);
-    io.emit('avatar_updated', { id: req.user.id, avatar_color: color, avatar_emoji: emoji || '', avatar_image: image || null });
+    const user = await db.getUserById(req.user.id);
+    let attachmentId = user.avatar_attachment_id;
+    if (imageId === null) attachmentId = null;
+    else if (imageId !== undefined && imageId !== attachmentId) {
+      const image = await db.getUnusedAttachment(imageId, req.user.id);
+      if (!image || !IMAGE_TYPES.includes(image.content_type)) return res.status(400).json({ error: 'Upload the picture first' });
+      if (image.size > MAX_AVATAR_BYTES) return res.status(400).json({ error: 'Profile picture too large' });
+      attachmentId = image.id;
+    }
+    await db.updateUserAvatar(req.user.id, color, emoji || '', attachmentId);
+    io.emit('avatar_updated', { id: req.user.id, avatar_color: color, avatar_emoji: emoji || '', avatar_version: avatarVersion(attachmentId) });
+    res.json({ success: true });
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// ─── Channel routes ───────────────────────────────────────────────────────────
+function validateRoomName(name) {
+  if (!name || name.length > 50) return 'Channel names must be 1-50 characters';
+  if (!/^[a-z0-9_-]+$/.test(name)) return 'Lowercase letters, numbers, dashes and underscores only';
+  return null;
+}
+
+// A permission in the channel named by :slug (channel owners have room.manage)
+function requireRoomPermission(permission) {
+  return async (req, res, next) => {
+    try {
+      const room = await db.getRoomBySlug(req.params.slug);
+      if (!room || room.archived) return res.status(404).json({ error: 'Channel not found' });
+      const user = await db.getUserById(req.user.id);
+      if (!await canInRoom(user, permission, room.slug)) {
+        return res.status(403).json({ error: "You don't have permission to do that" });
+      }
+      req.room = room;
+      req.actor = user;
+    } catch (err) {
+      console.error(err); return res.status(500).json({ error: 'Server error' });
+    }
+    next();
+  };
+}
+
+// Private channel events go only to members; public ones to everyone
+function roomAudience(room) {
+  return room.is_private ? io.to(room.slug) : io;
+}
+
+app.get('/api/rooms', requireAuth, async (req, res) => {
+  try { res.json(await db.getRoomsForUser(req.user.id)); }
+  catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+app.post('/api/rooms', requireAuth, async (req, res) => {
+  const name = req.body.name?.trim().toLowerCase();
+  const invalid = validateRoomName(name);
+  if (invalid) return res.status(400).json({ error: invalid });
+  try {
+    const room = await db.createRoom(name, req.user.id, req.body.isPrivate);
+    joinUserSockets(req.user.id, room.slug);
+    if (!room.is_private) io.emit('room_created', { slug: room.slug, name: room.name, created_by: room.created_by });
+    emitToUser(req.user.id, 'rooms_list', await db.getRoomsForUser(req.user.id));
+    res.json(room);
+  } catch (err) {
+    if (err.code === '23505') return res.status(400).json({ error: 'That channel name is already taken' });
+    console.error(err); res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.patch('/api/rooms/:slug', requireAuth, requireRoomPermission('room.manage'), async (req, res) => {
+  const name = req.body.name?.trim().toLowerCase();
+  const invalid = validateRoomName(name);
+  if (invalid) return res.status(400).json({ error: invalid });
+  try {
+    const room = await db.renameRoom(req.room.slug, name);
+    roomAudience(room).emit('room_updated', { slug: room.slug, name: room.name, slow_mode_seconds: room.slow_mode_seconds });
+    res.json(room);
+  } catch (err) {
+    if (err.code === '23505') return res.status(400).json({ error: 'That channel name is already taken' });
+    console.error(err); res.status(500).json({ error: 'Server error' });
+  }
+});
+
+app.post('/api/rooms/:slug/archive', requireAuth, requireRoomPermission('room.manage'), async (req, res) => {
+  if (req.room.slug === DEFAULT_ROOM) return res.status(400).json({ error: `#${DEFAULT_ROOM} can't be archived` });
+  try {
+    await db.setRoomArchived(req.room.slug, true);
+    roomAudience(req.room).emit('room_archived', { slug: req.room.slug });
+    io.in(req.room.slug).socketsLeave(req.room.slug);
+    res.json({ success: true });
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+app.get('/api/rooms/:slug/members', requireAuth, async (req, res) => {
+  try {
+    if (!await canAccessRoom(req.user, req.params.slug)) return res.status(404).json({ error: 'Channel not found' });
+    res.json(await db.getRoomMembers(req.params.slug));
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// Invite someone to a channel (the only way into a private one)
+app.post('/api/rooms/:slug/members', requireAuth, requireRoomPermission('room.manage'), async (req, res) => {
+  try {
+    const target = await db.getUserByUsername(req.body.username || '');
+    if (!target) return res.status(404).json({ error: 'User not found' });
+    await db.joinRoom(req.room.slug, target.id);
+    joinUserSockets(target.id, req.room.slug);
+    emitToUser(target.id, 'rooms_list', await db.getRoomsForUser(target.id));
+    res.json({ success: true });
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// { role } — make a member a channel owner, moderator or plain member
+app.put('/api/rooms/:slug/members/:userId/role', requireAuth, requireRoomPermission('room.manage'), async (req, res) => {
+  const targetId = userIdParam(req);
+  const { role } = req.body;
+  if (!targetId) return res.status(400).json({ error: 'Invalid user id' });
+  if (!ROOM_ROLES[role]) return res.status(400).json({ error: 'Unknown role' });
+  if (targetId === req.user.id) return res.status(400).json({ error: "You can't change your own role" });
+  try {
+    const member = await db.getRoomMember(req.room.slug, targetId);
+    if (!member) return res.status(404).json({ error: 'User is not in this channel' });
+    await db.setRoomMemberRole(req.room.slug, targetId, role);
+    await db.addAuditEntry(req.user.id, 'set_room_role', 'user', targetId, '',
+      { room: req.room.slug, from: member.role, to: role });
+    emitToUser(targetId, 'rooms_list', await db.getRoomsForUser(targetId));
+    res.json({ success: true });
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// { seconds } — 0 turns slow mode off
+app.put('/api/rooms/:slug/slow-mode', requireAuth, requireRoomPermission('room.manage'), async (req, res) => {
+  const seconds = Number(req.body.seconds);
+  if (!Number.isInteger(seconds) || seconds < 0 || seconds > MAX_SLOW_MODE_SECONDS) {
+    return res.status(400).json({ error: `Slow mode must be 0-${MAX_SLOW_MODE_SECONDS} seconds` });
+  }
+  try {
+    const room = await db.setSlowMode(req.room.slug, seconds);
+    if (!seconds) slowModeLastSent.delete(room.slug);
+    await db.addAuditEntry(req.user.id, 'set_slow_mode', 'room', room.slug, '', { seconds });
+    roomAudience(room).emit('room_updated', { slug: room.slug, name: room.name, slow_mode_seconds: room.slow_mode_seconds });
+    res.json(room);
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// Kick someone out; their open sockets stop receiving the channel immediately
+app.delete('/api/rooms/:slug/members/:userId', requireAuth, requireRoomPermission('room.manage'), async (req, res) => {
+  const targetId = userIdParam(req);
+  if (!targetId) return res.status(400).json({ error: 'Invalid user id' });
+  if (targetId === req.user.id) return res.status(400).json({ error: "You can't kick yourself" });
+  if (req.room.slug === DEFAULT_ROOM) return res.status(400).json({ error: `Nobody can be kicked from #${DEFAULT_ROOM}` });
+  try {
+    const member = await db.getRoomMember(req.room.slug, targetId);
+    if (!member) return res.status(404).json({ error: 'User is not in this channel' });
+    if (member.role === 'owner') return res.status(400).json({ error: "Channel owners can't be kicked" });
+    await db.leaveRoom(req.room.slug, targetId);
+    leaveUserSockets(targetId, req.room.slug);
+    emitToUser(targetId, 'rooms_list', await db.getRoomsForUser(targetId));
+    res.json({ success: true });
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// ─── Search route ─────────────────────────────────────────────────────────────
+// Filters can be mixed into the text: from:alice in:general in:@bob
+// after:2024-01-31 before:2024-02-28 has:image
+async function parseSearchQuery(q, user) {
+  const filters = {};
+  const words = [];
+  for (const token of q.split(/\s+/).filter(Boolean)) {
+    const [, key, value] = token.match(/^(from|in|after|before|has):(.+)$/i) || [];
+    const isDate = isSearchDate(value);
+    if (key?.toLowerCase() === 'from') filters.fromUsername = value.replace(/^@/, '');
+    else if (key?.toLowerCase() === 'in') filters.room = await resolveSearchRoom(value, user);
+    else if (key?.toLowerCase() === 'after' && isDate) filters.after = value;
+    else if (key?.toLowerCase() === 'before' && isDate) filters.before = value;
+    else if (key?.toLowerCase() === 'has' && value.toLowerCase() === 'image') filters.hasImage = true;
+    else if (key?.toLowerCase() === 'has' && value.toLowerCase() === 'file') filters.hasFile = true;
+    else words.push(token);
+  }
+  filters.text = words.join(' ');
+  return filters;
+}
+
+// A real day like 2024-01-31. Postgres rejects ones like 2024-02-30 or year 0.
+function isSearchDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return date.getUTCFullYear() >= 1 && date.toISOString().slice(0, 10) === value;
+}
+
+// in:#channel / in:channel → its slug; in:@user → your DM with them; null if unknown
+async function resolveSearchRoom(value, user) {
+  if (value.startsWith('@')) {
+    const other = await db.getUserByUsername(value.slice(1));
+    return other ? `dm:${Math.min(user.id, other.id)}:${Math.max(user.id, other.id)}` : null;
+  }
+  const room = await db.getRoomByName(value.replace(/^#/, ''));
+  return room?.slug || null;
+}
+
+app.get('/api/search', requireAuth, async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (!q) return res.status(400).json({ error: 'Type something to search for' });
+  try {
+    const filters = await parseSearchQuery(q, req.user);
+    if (filters.room === null) return res.json([]); // in: named a room that doesn't exist
+    res.json(await db.searchMessages(req.user.id, filters));
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// ─── Status route ─────────────────────────────────────────────────────────────
+// { status, text, expiresInMinutes } — leave expiresInMinutes out to keep the text
+app.put('/api/status', requireAuth, async (req, res) => {
+  const { status, text, expiresInMinutes } = req.body;
+  if (!STATUSES.includes(status)) return res.status(400).json({ error: 'Invalid status' });
+  const statusText = typeof text === 'string' ? text.trim() : '';
+  if (statusText.length > 100) return res.status(400).json({ error: 'Status text must be 100 characters or less' });
+  const minutes = Number(expiresInMinutes);
+  const expiresAt = minutes > 0 ? new Date(Date.now() + minutes * 60_000) : null;
+  try {
+    await db.setStatus(req.user.id, status, statusText, expiresAt);
+    await broadcastPresence(req.user.id);
     res.json({ success: true });
   } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
 });
 
 // ─── Admin routes ─────────────────────────────────────────────────────────────
-app.post('/api/admin/ban/:userId', requireAuth, requireAdmin, async (req, res) => {
-  const targetId = Number(req.params.userId);
+app.post('/api/admin/ban/:userId', requireAuth, requirePermission('user.ban'), async (req, res) => {
+  const targetId = userIdParam(req);
+  if (!targetId) return res.status(400).json({ error: 'Invalid user id' });
   if (targetId === req.user.id) return res.status(400).json({ error: "You can't ban yourself" });
-  const target = await db.getUserById(targetId);
-  if (!target) return res.status(404).json({ error: 'User not found' });
-  const newBanned = !target.is_banned;
-  await db.setBanned(targetId, newBanned);
-  if (newBanned) {
-    for (const socketId of userSockets.get(targetId) || []) {
-      const s = io.sockets.sockets.get(socketId);
-      if (s) { s.emit('banned'); s.disconnect(); }
+  try {
+    const target = await db.getUserById(targetId);
+    if (!target) return res.status(404).json({ error: 'User not found' });
+    if (!outranks(req.actor.role, target.role)) return res.status(403).json({ error: `You can't ban a ${target.role}` });
+    const newBanned = !isBanned(target);
+    const reason = auditReason(req.body.reason);
+    const until = newBanned ? sanctionExpiry(req.body.durationMinutes) : null;
+    await db.setBanned(targetId, newBanned, until, reason);
+    await db.addAuditEntry(req.user.id, newBanned ? 'ban' : 'unban', 'user', targetId, reason, until && { until });
+    if (newBanned) {
+      await db.revokeUserSessions(targetId);
+      for (const socketId of userSockets.get(targetId) || []) {
+        const s = io.sockets.sockets.get(socketId);
+        if (s) { s.emit('banned', { reason, until }); s.disconnect(); }
+      }
     }
-  }
-  io.emit('users_list', await db.getAllUsers());
-  res.json({ success: true, banned: newBanned });
+    io.emit('users_list', await getPublicUsers());
+    res.json({ success: true, banned: newBanned, until });
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// Toggle a mute: { reason, durationMinutes } — muted users can read but not post or react
+app.post('/api/admin/mute/:userId', requireAuth, requirePermission('user.mute'), async (req, res) => {
+  const targetId = userIdParam(req);
+  if (!targetId) return res.status(400).json({ error: 'Invalid user id' });
+  if (targetId === req.user.id) return res.status(400).json({ error: "You can't mute yourself" });
+  try {
+    const target = await db.getUserById(targetId);
+    if (!target) return res.status(404).json({ error: 'User not found' });
+    if (!outranks(req.actor.role, target.role)) return res.status(403).json({ error: `You can't mute a ${target.role}` });
+    const newMuted = !isMuted(target);
+    const reason = auditReason(req.body.reason);
+    const until = newMuted ? sanctionExpiry(req.body.durationMinutes) : null;
+    await db.setMuted(targetId, newMuted, until, reason);
+    await db.addAuditEntry(req.user.id, newMuted ? 'mute' : 'unmute', 'user', targetId, reason, until && { until });
+    emitToUser(targetId, 'muted', muteInfo(await refreshSocketUsers(targetId)));
+    io.emit('users_list', await getPublicUsers());
+    res.json({ success: true, muted: newMuted, until });
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
 });
 
-app.delete('/api/admin/clear/:room', requireAuth, requireAdmin, async (req, res) => {
+// Site-wide room.clear, or a channel owner clearing their own channel
+app.delete('/api/admin/clear/:room', requireAuth, async (req, res) => {
   try {
-    await db.clearRoom(req.params.room);
+    const user = await db.getUserById(req.user.id);
+    if (!user || !await canInRoom(user, 'room.clear', req.params.room)) {
+      return res.status(403).json({ error: "You don't have permission to do that" });
+    }
+    await db.clearRoom(req.params.room, req.user.id);
+    await db.addAuditEntry(req.user.id, 'clear_room', 'room', req.params.room, auditReason(req.body.reason));
     io.to(req.params.room).emit('room_cleared', { room: req.params.room });
     res.json({ success: true });
   } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
 });
 
+// Deleted (and cleared) messages in a room that can still be restored
+app.get('/api/admin/deleted/:room', requireAuth, requirePermission('message.restore'), async (req, res) => {
+  try {
+    const messages = await db.getDeletedMessages(req.params.room, DELETED_RETENTION_DAYS);
+    res.json(messages.map(m => ({ ...m, attachment: attachmentInfo(m.attachment) })));
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// { ids: [messageId, ...] } — bring deleted messages back
+app.post('/api/admin/restore', requireAuth, requirePermission('message.restore'), async (req, res) => {
+  const ids = Array.isArray(req.body.ids) ? req.body.ids.filter(Number.isInteger) : [];
+  if (ids.length === 0) return res.status(400).json({ error: 'No messages given' });
+  try {
+    const restored = await db.restoreMessages(ids, DELETED_RETENTION_DAYS);
+    const rooms = new Map(); // room -> parent ids whose reply counts changed
+    for (const msg of restored) {
+      if (!rooms.has(msg.room)) rooms.set(msg.room, new Set());
+      if (msg.parent_id) rooms.get(msg.room).add(msg.parent_id);
+    }
+    for (const [room, parentIds] of rooms) {
+      const roomIds = restored.filter(m => m.room === room).map(m => m.id);
+      await db.addAuditEntry(req.user.id, 'restore_messages', 'room', room, auditReason(req.body.reason), { ids: roomIds });
+      io.to(room).emit('messages_restored', { room, ids: roomIds });
+      for (const parentId of parentIds) await emitThreadUpdated(room, parentId);
+    }
+    res.json({ success: true, restored: restored.length });
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// Moderation history, newest first.
+// ?action=&actor=<username>&targetType=&targetId=&before=<entry id>
+app.get('/api/admin/audit', requireAuth, requirePermission('audit.view'), async (req, res) => {
+  const { action, actor, targetType, targetId } = req.query;
+  if (action && !AUDIT_ACTIONS.includes(action)) return res.status(400).json({ error: 'Unknown action' });
+  const before = Number(req.query.before);
+  try {
+    res.json(await db.getAuditLog({
+      action, actor, targetType, targetId,
+      before: Number.isInteger(before) && before > 0 ? before : null
+    }));
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// { role } — only for people ranked below you, and only roles below your own
+app.put('/api/admin/users/:userId/role', requireAuth, requirePermission('role.assign'), async (req, res) => {
+  const { role, reason } = req.body;
+  if (!ROLES[role]) return res.status(400).json({ error: 'Unknown role' });
+  const targetId = userIdParam(req);
+  if (!targetId) return res.status(400).json({ error: 'Invalid user id' });
+  try {
+    const target = await db.getUserById(targetId);
+    if (!target) return res.status(404).json({ error: 'User not found' });
+    if (!outranks(req.actor.role, target.role) || !outranks(req.actor.role, role)) {
+      return res.status(403).json({ error: "You can't give or change that role" });
+    }
+    await db.setUserRole(target.id, role);
+    await db.addAuditEntry(req.user.id, 'set_role', 'user', target.id, auditReason(reason), { from: target.role, to: role });
+    await refreshSocketUsers(target.id);
+    emitToUser(target.id, 'permissions', permissionsPayload({ role }));
+    io.emit('users_list', await getPublicUsers());
+    res.json({ success: true });
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// Issue a one-time password reset code for someone who's locked out. The code
+// is only shown here, once; the admin passes it on.
+app.post('/api/admin/users/:userId/reset-code', requireAuth, requirePermission('user.reset_password'), async (req, res) => {
+  const targetId = userIdParam(req);
+  if (!targetId) return res.status(400).json({ error: 'Invalid user id' });
+  try {
+    const target = await db.getUserById(targetId);
+    if (!target) return res.status(404).json({ error: 'User not found' });
+    if (!outranks(req.actor.role, target.role)) return res.status(403).json({ error: `You can't reset a ${target.role}'s password` });
+    const code = newOneTimeCode();
+    const expiresAt = new Date(Date.now() + PASSWORD_RESET_HOURS * 60 * 60 * 1000);
+    await db.createPasswordReset(target.id, hashOneTimeCode(code), expiresAt, req.user.id);
+    await db.addAuditEntry(req.user.id, 'reset_password', 'user', target.id, auditReason(req.body.reason));
+    res.json({ code, expiresAt });
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// Usernames and IPs locked out by failed logins (see Login protection)
+app.get('/api/admin/lockouts', requireAuth, requirePermission('user.unlock'), async (req, res) => {
+  try {
+    const locked = await db.getLockedLogins();
+    res.json(locked.map(({ key, ...rest }) => {
+      const split = key.indexOf(':');
+      return { key, type: key.slice(0, split), name: key.slice(split + 1), ...rest };
+    }));
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// Let a locked username or IP try again straight away
+app.delete('/api/admin/lockouts/:key', requireAuth, requirePermission('user.unlock'), async (req, res) => {
+  try {
+    if (!await db.clearLoginFailures(req.params.key)) return res.status(404).json({ error: 'Nothing to unlock' });
+    await db.addAuditEntry(req.user.id, 'unlock', 'login', req.params.key, auditReason(req.body?.reason));
+    res.json({ success: true });
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// ─── Invites ──────────────────────────────────────────────────────────────────
+const MAX_INVITE_USES = 1000;
+
+// { maxUses, expiresInHours, note } — maxUses/expiresInHours left out mean unlimited/never
+app.post('/api/admin/invites', requireAuth, requirePermission('invite.manage'), async (req, res) => {
+  const { maxUses, expiresInHours, note } = req.body;
+  if (maxUses != null && !(Number.isInteger(maxUses) && maxUses >= 1 && maxUses <= MAX_INVITE_USES)) {
+    return res.status(400).json({ error: `Uses must be a whole number from 1 to ${MAX_INVITE_USES}` });
+  }
+  if (expiresInHours != null && !(Number(expiresInHours) > 0)) return res.status(400).json({ error: 'Invalid expiry' });
+  const expiresAt = expiresInHours != null ? new Date(Date.now() + Number(expiresInHours) * 60 * 60 * 1000) : null;
+  try {
+    const invite = await db.createInvite(newOneTimeCode(), req.user.id, maxUses ?? null, expiresAt, auditReason(note).slice(0, 200) || null);
+    await db.addAuditEntry(req.user.id, 'create_invite', 'invite', invite.id, invite.note, { maxUses: invite.max_uses, expiresAt });
+    res.json(invite);
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// Every invite, newest first, with who joined using it
+app.get('/api/admin/invites', requireAuth, requirePermission('invite.manage'), async (req, res) => {
+  try { res.json(await db.getInvites()); }
+  catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// Revoked invites stop working; people who already joined with them keep their accounts
+app.delete('/api/admin/invites/:id', requireAuth, requirePermission('invite.manage'), async (req, res) => {
+  try {
+    const invite = await db.revokeInvite(Number(req.params.id));
+    if (!invite) return res.status(404).json({ error: 'Invite not found' });
+    await db.addAuditEntry(req.user.id, 'revoke_invite', 'invite', invite.id, auditReason(req.body?.reason));
+    res.json({ success: true });
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// ─── Settings ─────────────────────────────────────────────────────────────────
+async function getSetting(key) {
+  return db.getSetting(key, SETTINGS[key].default);
+}
+
+async function getSettings() {
+  const settings = {};
+  for (const key of Object.keys(SETTINGS)) settings[key] = await getSetting(key);
+  return settings;
+}
+
+app.get('/api/admin/settings', requireAuth, requirePermission('settings.manage'), async (req, res) => {
+  try { res.json(await getSettings()); }
+  catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
+// Change any of the SETTINGS: { key: value, ... }. Each change is audited.
+app.put('/api/admin/settings', requireAuth, requirePermission('settings.manage'), async (req, res) => {
+  const changes = Object.entries(req.body || {});
+  for (const [key, value] of changes) {
+    if (!SETTINGS[key]) return res.status(400).json({ error: `Unknown setting: ${key}` });
+    if (!SETTINGS[key].valid(value)) return res.status(400).json({ error: `Invalid value for ${key}` });
+  }
+  try {
+    // Don't let an admin lock everyone into something they haven't done themselves
+    if (req.body.require_admin_2fa && !(await db.getTotp(req.user.id)).totp_enabled) {
+      return res.status(400).json({ error: 'Turn on two-factor authentication for your own account first' });
+    }
+    const before = await getSettings();
+    for (const [key, value] of changes) {
+      if (before[key] === value) continue;
+      await db.setSetting(key, value);
+      await db.addAuditEntry(req.user.id, 'update_setting', 'setting', key, '', { from: before[key], to: value });
+    }
+    // Admins without 2FA are logged out and enroll when they log back in
+    if (req.body.require_admin_2fa && !before.require_admin_2fa) {
+      for (const userId of await db.getUsersWithoutTotp(adminRoles())) {
+        for (const sessionId of await db.revokeUserSessions(userId)) disconnectSession(sessionId);
+      }
+    }
+    res.json(await getSettings());
+  } catch (err) { console.error(err); res.status(500).json({ error: 'Server error' }); }
+});
+
 // ─── Start server ─────────────────────────────────────────────────────────────
 server.listen(PORT, () => console.log(`Server running on http://localhost:${PORT}`));
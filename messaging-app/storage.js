@@ -0,0 +1,128 @@
+// storage.js - Where attachment bytes live
+//
+// The database only keeps a row per attachment; the file itself goes to a
+// storage driver. Every driver has the same three methods, keyed by a random
+// storage key:
+//
+//   put(key, buffer, contentType)  store a file
+//   get(key)                       its bytes as a Buffer, or null if missing
+//   remove(key)                    delete it (missing files are fine)
+//
+// STORAGE_DRIVER picks one:
+//   local (default)  files under UPLOAD_DIR (default ./uploads)
+//   s3               any S3-compatible service (AWS, MinIO, R2...) using
+//                    S3_ENDPOINT, S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID and
+//                    S3_SECRET_ACCESS_KEY. Requests use path-style URLs.
+//
+// `npm run check-storage` tries the configured driver with one upload, read
+// and delete (see check-storage.js for trying S3 against a local stand-in).
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Keys are generated by us, but check anyway so one can never walk out of the upload dir
+function checkKey(key) {
+  if (!/^[a-f0-9]{32}$/.test(key)) throw new Error(`Invalid storage key: ${key}`);
+}
+
+function newStorageKey() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// ── Local disk ────────────────────────────────────────────────────────────────
+// Files are spread over 256 subfolders (by the key's first two characters)
+// so no single folder gets huge.
+function createLocalStorage(dir) {
+  const fileFor = key => { checkKey(key); return path.join(dir, key.slice(0, 2), key); };
+
+  return {
+    async put(key, buffer) {
+      const file = fileFor(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+    },
+    async get(key) {
+      try { return await fs.readFile(fileFor(key)); }
+      catch (err) { if (err.code === 'ENOENT') return null; throw err; }
+    },
+    async remove(key) {
+      await fs.rm(fileFor(key), { force: true });
+    }
+  };
+}
+
+// ── S3-compatible ─────────────────────────────────────────────────────────────
+// Requests are signed with AWS Signature Version 4, which every S3-compatible
+// service accepts: https://docs.aws.amazon.com/IAM/latest/UserGuide/create-signed-request.html
+function createS3Storage({ endpoint, bucket, region, accessKeyId, secretAccessKey }) {
+  const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+  const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+  async function request(method, key, body, contentType) {
+    checkKey(key);
+    const url = new URL(`${endpoint.replace(/\/$/, '')}/${bucket}/${key}`);
+    const amzDate = new Date().toISOString().replace(/[-:]|\.\d{3}/g, ''); // 20240101T120000Z
+    const date = amzDate.slice(0, 8);
+    const payloadHash = sha256(body || '');
+    const headers = { host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+    if (contentType) headers['content-type'] = contentType;
+
+    const names = Object.keys(headers).sort();
+    const signedHeaders = names.join(';');
+    const canonicalRequest = [
+      method, url.pathname, '',
+      names.map(name => `${name}:${headers[name]}\n`).join(''),
+      signedHeaders, payloadHash
+    ].join('\n');
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    let signingKey = hmac(`AWS4${secretAccessKey}`, date);
+    for (const part of [region, 's3', 'aws4_request']) signingKey = hmac(signingKey, part);
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    delete headers.host; // fetch sends it
+    headers.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+    return fetch(url, { method, headers, body });
+  }
+
+  async function check(res, action) {
+    if (!res.ok) throw new Error(`S3 ${action} failed: ${res.status} ${await res.text()}`);
+  }
+
+  return {
+    async put(key, buffer, contentType) {
+      await check(await request('PUT', key, buffer, contentType), 'upload');
+    },
+    async get(key) {
+      const res = await request('GET', key);
+      if (res.status === 404) return null;
+      await check(res, 'download');
+      return Buffer.from(await res.arrayBuffer());
+    },
+    async remove(key) {
+      const res = await request('DELETE', key);
+      if (res.status !== 404) await check(res, 'delete');
+    }
+  };
+}
+
+// The driver the environment asks for
+function createStorage(env = process.env) {
+  if (env.STORAGE_DRIVER === 's3') {
+    for (const name of ['S3_ENDPOINT', 'S3_BUCKET', 'S3_ACCESS_KEY_ID', 'S3_SECRET_ACCESS_KEY']) {
+      if (!env[name]) throw new Error(`STORAGE_DRIVER=s3 needs ${name}`);
+    }
+    return createS3Storage({
+      endpoint: env.S3_ENDPOINT,
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION || 'us-east-1',
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY
+    });
+  }
+  if (env.STORAGE_DRIVER && env.STORAGE_DRIVER !== 'local') throw new Error(`Unknown STORAGE_DRIVER: ${env.STORAGE_DRIVER}`);
+  return createLocalStorage(env.UPLOAD_DIR || path.join(__dirname, 'uploads'));
+}
+
+module.exports = { createStorage, createLocalStorage, createS3Storage, newStorageKey };
@@ -0,0 +1,66 @@
+// totp.js - Time-based one-time passwords (RFC 6238), as used by authenticator apps
+//
+// A secret is 20 random bytes, shown to the user in base32. Every 30 seconds
+// the app derives a new 6-digit code from it with HMAC-SHA1 (RFC 4226).
+
+const crypto = require('crypto');
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const WINDOW = 1; // also accept the codes either side of now, for clock drift
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let out = '';
+  for (let i = 0; i < bits.length; i += 5) out += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  return out;
+}
+
+function base32Decode(text) {
+  let bits = '';
+  for (const char of text.toUpperCase().replace(/[\s=]/g, '')) {
+    const value = BASE32.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32');
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// The code for one 30-second time step
+function codeAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const number = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(number % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// Returns the time step `code` belongs to, or null if it doesn't match. Callers
+// store the step and refuse it (or any earlier one) next time, so a code
+// can't be replayed.
+function verifyTotp(secret, code, now = Date.now()) {
+  const digits = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(digits)) return null;
+  const current = Math.floor(now / 1000 / STEP_SECONDS);
+  for (let step = current - WINDOW; step <= current + WINDOW; step++) {
+    if (crypto.timingSafeEqual(Buffer.from(codeAt(secret, step)), Buffer.from(digits))) return step;
+  }
+  return null;
+}
+
+// What authenticator apps scan from the QR code
+function otpauthUri(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+}
+
+module.exports = { generateSecret, verifyTotp, otpauthUri };